@@ -1,32 +1,83 @@
 #!/usr/bin/env node
 
 /**
- * Weekly Fleet Update Cron Job
+ * Fleet Update Cron Job
  * 
- * Updates AF and KL fleet data, regenerates README, and pushes to GitHub.
+ * Updates every registered airline's fleet data, regenerates README and the
+ * change feeds, and pushes to GitHub.
+ * 
+ * Before anything is committed, a sanity gate compares each catalog with the
+ * last committed version and aborts on a large fleet-size drop, lost
+ * aircraft, a spike in changes or new validation errors. Rejected updates
+ * are stashed (git stash list) for inspection. Only airlines/, README.md and
+ * changes/ are committed.
+ * 
+ * In --daemon mode the job schedules itself from schedule.json (see
+ * schedule.example.json), e.g. fetching each airline daily and publishing
+ * weekly. Without a schedule file every airline is updated at 05:00 UTC
+ * and the result published on Sundays at 06:00 UTC. Jobs run one at a
+ * time; a lock file (.cron-update.lock) keeps them from overlapping with
+ * any other run of this script, and every run is recorded in
+ * cron-history.jsonl with its status and API requests used. Job tasks:
+ * "update" (one airline, left uncommitted), "publish" (gate, README,
+ * feeds, commit) and "run" (both, as a one-off run does); a job's
+ * "thresholds" override --max-drop/--max-changes.
  * 
  * Usage:
- *   node cron-update.js                                    # Run once
+ *   node cron-update.js                                    # Run once, push to main
+ *   node cron-update.js --pr                               # Push a dated branch and open a PR
+ *                                                          # (pulls main first; needs gh)
+ *   node cron-update.js --no-push                          # Commit locally only
+ *   node cron-update.js --daemon                           # Run on schedule, health on :8788
+ *   node cron-update.js --daemon --schedule my-schedule.json --health-port 9000
  *   pm2 start cron-update.js --cron "0 6 * * 0" --no-autorestart  # Every Sunday 6am
  * 
+ * Options:
+ *   --max-drop <PCT>     Largest allowed drop of an active fleet (default: 10)
+ *   --max-changes <N>    Largest allowed new aircraft + changes per airline (default: 100)
+ *   --schedule <FILE>    Daemon schedule (default: schedule.json if it exists)
+ *   --health-port <N>    Daemon health endpoint port (default: 8788)
+ * 
+ * Health:
+ *   GET http://127.0.0.1:8788/health - Jobs with their next and last runs;
+ *   503 when a job's last run failed or was rejected
+ * 
  * Environment:
  *   AFKLM_API_KEY - API key for Air France/KLM API
  */
 
 import { execSync, spawn } from 'child_process';
+import fs from 'fs';
+import http from 'http';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { listAirlineCodes } from './lib/airlines.js';
+import { matchesCron, nextCronRun, parseCron } from './lib/cron.js';
+import { checkFleetDiff, diffCatalogs, formatCommitMessage } from './lib/fleet-diff.js';
+import { parseCatalog } from './lib/migrations/index.js';
+import { loadAllCatalogs } from './lib/query.js';
+import { acquireLock, appendRunHistory, countApiRequests, readLock, readRunHistory } from './lib/runs.js';
+import { loadCatalogSchema, loadWifiProviders, validateCatalog } from './lib/validate.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
+// The only paths an automated update may commit
+const COMMIT_PATHS = ['airlines', 'README.md', 'changes'];
+
+const LOCK_PATH = path.join(__dirname, '.cron-update.lock');
+const HISTORY_PATH = path.join(__dirname, 'cron-history.jsonl');
+const KEY_STATE_PATH = path.join(__dirname, '.api-key-state.json');
+const DEFAULT_SCHEDULE_PATH = path.join(__dirname, 'schedule.json');
+const DEFAULT_HEALTH_PORT = 8788;
+
 function log(msg) {
   console.log(`[${new Date().toISOString()}] ${msg}`);
 }
 
-function exec(cmd) {
+function exec(cmd, input) {
   log(`> ${cmd}`);
   try {
-    const result = execSync(cmd, { cwd: __dirname, encoding: 'utf-8' });
+    const result = execSync(cmd, { cwd: __dirname, encoding: 'utf-8', input });
     if (result.trim()) console.log(result.trim());
     return true;
   } catch (error) {
@@ -62,49 +113,417 @@ async function runUpdate(airline) {
   });
 }
 
-async function main() {
-  log('🚀 Weekly fleet update starting...\n');
-  
-  // Check API key
-  if (!process.env.AFKLM_API_KEY && !process.env.AFKLM_API_KEYS) {
-    log('❌ No API key found. Set AFKLM_API_KEY environment variable.');
-    process.exit(1);
+function countValidationErrors(catalogs) {
+  const options = { schema: loadCatalogSchema(), wifiProviders: loadWifiProviders() };
+  const counts = {};
+  for (const [code, catalog] of Object.entries(catalogs)) {
+    const { schemaErrors, semanticErrors } = validateCatalog(catalog, options);
+    counts[code] = schemaErrors.length + semanticErrors.length;
   }
-  
-  // Update each airline
-  for (const airline of ['AF', 'KL']) {
-    await runUpdate(airline);
+  return counts;
+}
+
+// Problems that should stop this run's changes from being committed
+function sanityGate(before, after, thresholds) {
+  const diffs = Object.entries(after).map(([code, catalog]) => diffCatalogs(before[code] || null, catalog));
+  const problems = diffs.flatMap(diff => checkFleetDiff(diff, thresholds));
+
+  // Existing violations are tolerated; the run must not add new ones
+  const errorsBefore = countValidationErrors(before);
+  const errorsAfter = countValidationErrors(after);
+  for (const [code, count] of Object.entries(errorsAfter)) {
+    if (count > (errorsBefore[code] || 0)) {
+      problems.push(`${code}: validation errors went from ${errorsBefore[code] || 0} to ${count} (run npm run validate)`);
+    }
   }
-  
+
+  return { diffs, problems };
+}
+
+function rejectUpdate(date) {
+  log('\n🧯 Stashing the rejected update for inspection...');
+  exec(`git stash push --include-untracked -m "Rejected fleet update ${date}" -- ${COMMIT_PATHS.join(' ')}`);
+}
+
+function availableBranchName(date) {
+  const base = `fleet-update/${date}`;
+  for (let n = 1; ; n++) {
+    const name = n === 1 ? base : `${base}-${n}`;
+    try {
+      execSync(`git rev-parse --verify --quiet refs/heads/${name}`, { cwd: __dirname, stdio: 'ignore' });
+    } catch {
+      return name;
+    }
+  }
+}
+
+
+// Catalogs as of the last commit, the baseline for the sanity gate (in
+// daemon mode several daily updates may land in one commit)
+function loadCommittedCatalogs() {
+  const git = cmd => execSync(cmd, { cwd: __dirname, encoding: 'utf-8', maxBuffer: 256 * 1024 * 1024 });
+  let files;
+  try {
+    files = git('git ls-tree --name-only HEAD -- airlines/').split('\n').filter(f => f.endsWith('.json'));
+  } catch {
+    return {};
+  }
+
+  const catalogs = {};
+  for (const file of files) {
+    // Migrated like the working copy, so a schema bump is not a fleet change
+    catalogs[path.basename(file, '.json')] = parseCatalog(git(`git show HEAD:${file}`), `HEAD:${file}`);
+  }
+  return catalogs;
+}
+
+// Start from the latest merged data, since updates land through PRs
+function syncWithMain() {
+  return exec('git pull --ff-only origin main');
+}
+
+/**
+ * Gate, regenerate README and feeds, then commit and push (or open a PR).
+ *
+ * @returns {Promise<{ status: string, error: string|null }>} status is
+ *   "ok" or "rejected" (the gate refused the update) or "failed"
+ */
+async function publish({ prMode, noPush, thresholds }) {
+  const date = new Date().toISOString().split('T')[0];
+
+  // Sanity gate
+  log('\n🚦 Checking the update before committing...');
+  const { diffs, problems } = sanityGate(loadCommittedCatalogs(), loadAllCatalogs(), thresholds);
+  if (problems.length > 0) {
+    problems.forEach(p => log(`   ❌ ${p}`));
+    rejectUpdate(date);
+    log('\n🛑 Update rejected - nothing committed');
+    return { status: 'rejected', error: problems.join('; ') };
+  }
+  log('   ✅ Fleet sizes, change volume and validation look sane');
+
   // Regenerate README
   log('\n📊 Regenerating README...');
   exec('node generate-readme.js');
+
+  // Regenerate change feeds
+  log('\n📰 Regenerating change feeds...');
+  exec('node generate-feed.js');
   
-  // Check for changes
+  // Stage only the data this job produces
   log('\n📝 Checking for changes...');
-  
-  try {
-    const status = execSync('git status --porcelain', { cwd: __dirname, encoding: 'utf-8' });
-    
-    if (!status.trim()) {
-      log('✅ No changes to commit');
+  const pathspec = COMMIT_PATHS.filter(p => fs.existsSync(path.join(__dirname, p))).join(' ');
+  exec(`git add -- ${pathspec}`);
+
+  const staged = execSync('git diff --cached --name-only', { cwd: __dirname, encoding: 'utf-8' });
+  if (!staged.trim()) {
+    log('✅ No changes to commit');
+    return { status: 'ok', error: null };
+  }
+  log(`Changes:\n${staged}`);
+
+  const message = formatCommitMessage(diffs, date);
+  const [subject] = message.split('\n');
+
+  if (prMode) {
+    // Open a pull request from a dated branch instead of pushing to main
+    const baseBranch = execSync('git rev-parse --abbrev-ref HEAD', { cwd: __dirname, encoding: 'utf-8' }).trim();
+    const branch = availableBranchName(date);
+    if (!exec(`git switch -c ${branch}`) || !exec('git commit -F -', message)) {
+      return { status: 'failed', error: `could not commit to ${branch}` };
+    }
+
+    log('\n📤 Pushing branch and opening a pull request...');
+    const pushed = exec(`git push -u origin ${branch}`);
+    const opened = pushed && exec(`gh pr create --base main --head ${branch} --title ${JSON.stringify(subject)} --body-file -`, message);
+    exec(`git switch ${baseBranch}`);
+    if (!opened) {
+      log(pushed ? `⚠️  Could not open the PR (is gh installed and authenticated?); branch ${branch} is pushed` : '❌ Push failed');
+      return { status: 'failed', error: pushed ? `could not open a PR for ${branch}` : 'push failed' };
+    }
+    log('\n✅ Pull request opened!');
+  } else {
+    if (!exec('git commit -F -', message)) return { status: 'failed', error: 'commit failed' };
+    if (noPush) {
+      log('\n✅ Committed locally (--no-push)');
+    } else {
+      log('\n📤 Pushing to GitHub...');
+      if (!exec('git push origin main')) return { status: 'failed', error: 'push failed' };
+      log('\n✅ Successfully pushed to GitHub!');
+    }
+  }
+
+  return { status: 'ok', error: null };
+}
+
+// ============================================================================
+// Jobs
+// ============================================================================
+
+function hasPendingData() {
+  const status = execSync(`git status --porcelain -- ${COMMIT_PATHS.join(' ')}`, { cwd: __dirname, encoding: 'utf-8' });
+  return status.trim() !== '';
+}
+
+// What each job task does; all return { status, error }
+const TASKS = {
+  // Fetch one airline; the result waits in the working tree for "publish"
+  async update(job, options) {
+    // First update after a publish: pick up merged PRs
+    if (options.prMode && !hasPendingData() && !syncWithMain()) {
+      return { status: 'failed', error: 'git pull failed' };
+    }
+    const ok = await runUpdate(job.airline);
+    return { status: ok ? 'ok' : 'failed', error: ok ? null : `fleet-update.js failed for ${job.airline}` };
+  },
+
+  publish(job, options) {
+    return publish({ ...options, thresholds: { ...options.thresholds, ...job.thresholds } });
+  },
+
+  // Update every airline, then publish: what a one-off run does
+  async run(job, options) {
+    if (options.prMode && !syncWithMain()) return { status: 'failed', error: 'git pull failed' };
+
+    // Update each airline in reference/airlines.json; publish nothing if any failed
+    const failed = [];
+    for (const airline of listAirlineCodes()) {
+      if (!(await runUpdate(airline))) failed.push(airline);
+    }
+    if (failed.length > 0) {
+      return { status: 'failed', error: `fleet-update.js failed for ${failed.join(', ')}, not publishing` };
+    }
+    return TASKS.publish(job, options);
+  },
+};
+
+/**
+ * Run a job under the lock and record it in the run history.
+ *
+ * @returns {Promise<object>} The history entry
+ */
+async function runJob(job, options) {
+  const run = {
+    job: job.id,
+    task: job.task,
+    airline: job.airline || null,
+    started_at: new Date().toISOString(),
+    ended_at: null,
+    status: null,
+    requests: null,
+    error: null,
+  };
+
+  const lock = acquireLock(LOCK_PATH, job.id);
+  if (!lock.acquired) {
+    const holder = lock.holder;
+    run.status = 'skipped';
+    run.error = holder ? `locked by ${holder.job} (pid ${holder.pid}) since ${holder.started_at}` : 'could not take the lock';
+    log(`⏭️  ${job.id} skipped: ${run.error}`);
+  } else {
+    const requestsBefore = countApiRequests(KEY_STATE_PATH);
+    try {
+      Object.assign(run, await TASKS[job.task](job, options));
+    } catch (error) {
+      run.status = 'failed';
+      run.error = error.message;
+    } finally {
+      lock.release();
+    }
+    const requestsAfter = countApiRequests(KEY_STATE_PATH);
+    if (requestsAfter !== null) run.requests = requestsAfter - (requestsBefore || 0);
+  }
+
+  run.ended_at = new Date().toISOString();
+  appendRunHistory(HISTORY_PATH, run);
+  return run;
+}
+
+// ============================================================================
+// Daemon
+// ============================================================================
+
+function defaultSchedule() {
+  return {
+    jobs: [
+      ...listAirlineCodes().map(code => ({ id: `update-${code}`, cron: '0 5 * * *', task: 'update', airline: code })),
+      { id: 'publish', cron: '0 6 * * 0', task: 'publish' },
+    ],
+  };
+}
+
+/**
+ * @param {string|null} schedulePath - null for the default schedule
+ * @returns {object[]} Jobs: { id, cron, task, airline?, thresholds?, schedule }
+ */
+function loadSchedule(schedulePath) {
+  const config = schedulePath ? JSON.parse(fs.readFileSync(schedulePath, 'utf-8')) : defaultSchedule();
+  const where = schedulePath || 'default schedule';
+  if (!Array.isArray(config.jobs) || config.jobs.length === 0) throw new Error(`${where}: "jobs" must be a non-empty array`);
+
+  const airlines = listAirlineCodes();
+  const ids = new Set();
+  return config.jobs.map((job, i) => {
+    if (!job.id || !job.cron) throw new Error(`${where}: jobs[${i}] needs an id and a cron expression`);
+    if (ids.has(job.id)) throw new Error(`${where}: duplicate job id "${job.id}"`);
+    ids.add(job.id);
+    if (!TASKS[job.task]) throw new Error(`${where}: job "${job.id}" has unknown task "${job.task}" (${Object.keys(TASKS).join(', ')})`);
+    if (job.task === 'update' && !airlines.includes(job.airline)) {
+      throw new Error(`${where}: job "${job.id}" needs an airline from reference/airlines.json (${airlines.join(', ')})`);
+    }
+    try {
+      return { ...job, schedule: parseCron(job.cron) };
+    } catch (error) {
+      throw new Error(`${where}: job "${job.id}": ${error.message}`);
+    }
+  });
+}
+
+function startHealthServer(port, report) {
+  const server = http.createServer((req, res) => {
+    if (req.method !== 'GET' || req.url.split('?')[0] !== '/health') {
+      res.writeHead(404, { 'Content-Type': 'application/json' }).end(JSON.stringify({ error: 'Not found' }));
       return;
     }
-    
-    log(`Changes:\n${status}`);
-    
-    // Git add, commit, push
-    log('\n📤 Pushing to GitHub...');
-    exec('git add -A');
-    
-    const date = new Date().toISOString().split('T')[0];
-    exec(`git commit -m "Auto-update fleet data - ${date}"`);
-    exec('git push origin main');
-    
-    log('\n✅ Successfully pushed to GitHub!');
-  } catch (error) {
-    log(`Git error: ${error.message}`);
+    const health = report();
+    res.writeHead(health.status === 'ok' ? 200 : 503, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(health, null, 2));
+  });
+  server.listen(port, '127.0.0.1', () => log(`🩺 Health endpoint on http://127.0.0.1:${port}/health`));
+  return server;
+}
+
+async function runDaemon(options, { schedulePath, healthPort }) {
+  const jobs = loadSchedule(schedulePath);
+  const startedAt = Date.now();
+  const lastRuns = new Map(jobs.map(job => [job.id, readRunHistory(HISTORY_PATH, { job: job.id, limit: 1 })[0] || null]));
+  const queue = [];
+  let running = null;
+  let stopping = false;
+  let timer = null;
+  // Nothing fires in the minute the daemon starts, so a quick restart does not run jobs twice
+  let lastTick = Math.floor(Date.now() / 60000);
+
+  log(`🗓️  Fleet update daemon starting (${schedulePath ? path.relative(__dirname, schedulePath) : 'default schedule'})`);
+  for (const job of jobs) {
+    log(`   ${job.id.padEnd(16)} ${job.cron.padEnd(14)} next ${nextCronRun(job.schedule)?.toISOString() ?? 'never'}`);
+  }
+
+  const report = () => {
+    const jobStates = jobs.map(job => ({
+      id: job.id,
+      task: job.task,
+      airline: job.airline || null,
+      cron: job.cron,
+      next_run: nextCronRun(job.schedule)?.toISOString() ?? null,
+      last_run: lastRuns.get(job.id),
+    }));
+    const unhealthy = jobStates.some(j => ['failed', 'rejected'].includes(j.last_run?.status));
+    return {
+      status: unhealthy ? 'degraded' : 'ok',
+      pid: process.pid,
+      started_at: new Date(startedAt).toISOString(),
+      uptime_seconds: Math.round((Date.now() - startedAt) / 1000),
+      running,
+      queued: queue.map(job => job.id),
+      lock: readLock(LOCK_PATH),
+      jobs: jobStates,
+    };
+  };
+  const server = startHealthServer(healthPort, report);
+
+  const shutdown = () => {
+    clearTimeout(timer);
+    server.close();
+    log('👋 Daemon stopped');
+    process.exit(0);
+  };
+
+  async function drain() {
+    if (running) return;
+    while (queue.length > 0 && !stopping) {
+      const job = queue.shift();
+      running = job.id;
+      log(`\n▶️  ${job.id} starting`);
+      const run = await runJob(job, options);
+      lastRuns.set(job.id, run);
+      log(`⏹️  ${job.id} ${run.status}${run.requests !== null ? ` (${run.requests} API requests)` : ''}`);
+      running = null;
+    }
+    if (stopping) shutdown();
+  }
+
+  function tick() {
+    const now = new Date();
+    const minute = Math.floor(now.getTime() / 60000);
+    // Jobs fire once per matching minute, even if a timer fires twice in it
+    if (minute !== lastTick) {
+      lastTick = minute;
+      for (const job of jobs) {
+        if (!matchesCron(job.schedule, now)) continue;
+        if (running === job.id || queue.includes(job)) {
+          log(`⏭️  ${job.id} is still running or queued, not queueing it again`);
+          continue;
+        }
+        queue.push(job);
+      }
+      // runJob only throws when its own bookkeeping (lock, history) fails;
+      // the daemon keeps going and the queue drains on the next tick
+      drain().catch(error => {
+        log(`❌ ${running || 'queue'} failed outside the job: ${error.message}`);
+        running = null;
+        if (stopping) shutdown();
+      });
+    }
+    timer = setTimeout(tick, 60000 - (Date.now() % 60000) + 100);
+  }
+
+  for (const signal of ['SIGINT', 'SIGTERM']) {
+    process.on(signal, () => {
+      if (stopping || !running) shutdown();
+      stopping = true;
+      log(`\n⏳ ${signal}: waiting for ${running} to finish (send again to stop now)`);
+    });
   }
+
+  tick();
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const daemon = args.includes('--daemon');
+  const prMode = args.includes('--pr');
+  const noPush = args.includes('--no-push');
+  const maxDropArg = args.find((_, i) => args[i - 1] === '--max-drop');
+  const maxChangesArg = args.find((_, i) => args[i - 1] === '--max-changes');
+  const scheduleArg = args.find((_, i) => args[i - 1] === '--schedule');
+  const healthPortArg = args.find((_, i) => args[i - 1] === '--health-port');
+  const options = {
+    prMode,
+    noPush,
+    thresholds: {
+      maxDropPercent: parseFloat(maxDropArg || '10'),
+      maxChanges: parseInt(maxChangesArg || '100', 10),
+    },
+  };
+
+  // Check API key
+  if (!process.env.AFKLM_API_KEY && !process.env.AFKLM_API_KEYS) {
+    log('❌ No API key found. Set AFKLM_API_KEY environment variable.');
+    process.exit(1);
+  }
+
+  if (daemon) {
+    const schedulePath = scheduleArg
+      ? path.resolve(scheduleArg)
+      : (fs.existsSync(DEFAULT_SCHEDULE_PATH) ? DEFAULT_SCHEDULE_PATH : null);
+    await runDaemon(options, { schedulePath, healthPort: parseInt(healthPortArg || String(DEFAULT_HEALTH_PORT), 10) });
+    return;
+  }
+
+  log('🚀 Fleet update starting...\n');
+  const run = await runJob({ id: 'manual', task: 'run' }, options);
+  if (run.status !== 'ok') process.exit(1);
   
   log('\n🏁 Done!');
 }
@@ -113,4 +532,3 @@ main().catch(error => {
   log(`❌ Fatal error: ${error.message}`);
   process.exit(1);
 });
-
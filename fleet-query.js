@@ -0,0 +1,125 @@
+#!/usr/bin/env node
+
+/**
+ * Fleet Catalog Query
+ * 
+ * Search and filter airlines/*.json from the command line.
+ * 
+ * Usage:
+ *   node fleet-query.js --type 77W --provider starlink        # 777-300ERs with Starlink
+ *   node fleet-query.js --airline KL --seats "premium_economy>0"  # KLM aircraft with a W cabin
+ *   node fleet-query.js --wifi none --format csv              # Aircraft without WiFi, as CSV
+ *   node fleet-query.js --show F-GSQA                         # One aircraft with its history
+ */
+
+import {
+  FORMATTERS,
+  loadAllCatalogs,
+  findAircraft,
+  filterAircraft,
+  parseSeatCondition,
+  parseDateRange,
+} from './lib/query.js';
+
+function printHelp() {
+  console.log(`
+🔎 Fleet Catalog Query
+
+Usage:
+  node fleet-query.js [filters] [--format <FORMAT>]
+  node fleet-query.js --show <REGISTRATION>
+
+Filters (combined with AND):
+  --airline <CODES>        Airline codes, comma-separated (e.g. AF,KL)
+  --type <TYPE>            IATA type code (77W) or part of the type name (A350)
+  --sub-fleet <CODE>       Sub-fleet code
+  --wifi <TIER>            none, low-speed or high-speed
+  --provider <NAME>        WiFi provider (e.g. starlink)
+  --status <STATUS>        active, stored, maintenance or retired
+  --seats <CONDITION>      Seat count condition, repeatable:
+                           <class><op><n> with class first, business,
+                           premium_economy, economy or total and op =, >, <, >=, <=
+  --first-seen <RANGE>     YYYY-MM-DD..YYYY-MM-DD (either side optional)
+  --last-seen <RANGE>      YYYY-MM-DD..YYYY-MM-DD (either side optional)
+
+Output:
+  --format <FORMAT>        table (default), json, csv or regs
+  --show <REGISTRATION>    Full record and history of one aircraft
+  --help                   Show this help message
+
+Examples:
+  node fleet-query.js --type 77W --provider starlink
+  node fleet-query.js --airline KL --seats "premium_economy>0" --format regs
+  node fleet-query.js --last-seen ..2026-02-01 --format csv
+`);
+}
+
+function printAircraft(airline, aircraft) {
+  console.log(`\n✈️  ${aircraft.registration} (${airline}) — ${aircraft.aircraft_type?.full_name || 'Unknown type'}\n`);
+  console.log(JSON.stringify({ ...aircraft, history: undefined }, null, 2));
+
+  const history = aircraft.history || [];
+  console.log(`\n📜 History (${history.length} entries)`);
+  for (const h of history) {
+    console.log(`   ${h.timestamp}  ${h.property}: ${h.old_value} → ${h.new_value}${h.source ? ` [${h.source}]` : ''}`);
+  }
+  console.log();
+}
+
+function main() {
+  const args = process.argv.slice(2);
+  
+  if (args.includes('--help') || args.includes('-h')) {
+    printHelp();
+    process.exit(0);
+  }
+  
+  const arg = name => args.find((_, i) => args[i - 1] === name);
+  const catalogs = loadAllCatalogs();
+  
+  const showArg = arg('--show');
+  if (showArg) {
+    const found = findAircraft(catalogs, showArg);
+    if (!found) {
+      console.error(`❌ Error: ${showArg} not found in any catalog`);
+      process.exit(1);
+    }
+    printAircraft(found.airline, found.aircraft);
+    return;
+  }
+  
+  const format = arg('--format') || 'table';
+  if (!FORMATTERS[format]) {
+    console.error(`❌ Error: unknown format "${format}" (table, json, csv or regs)`);
+    process.exit(1);
+  }
+  
+  const firstSeenArg = arg('--first-seen');
+  const lastSeenArg = arg('--last-seen');
+  const filters = {
+    airlines: arg('--airline')?.split(',').filter(Boolean),
+    type: arg('--type'),
+    subFleet: arg('--sub-fleet'),
+    wifi: arg('--wifi'),
+    provider: arg('--provider'),
+    status: arg('--status'),
+    seats: args.filter((_, i) => args[i - 1] === '--seats').map(parseSeatCondition),
+    firstSeen: firstSeenArg ? parseDateRange(firstSeenArg) : null,
+    lastSeen: lastSeenArg ? parseDateRange(lastSeenArg) : null,
+  };
+  
+  const results = filterAircraft(catalogs, filters);
+  console.log(FORMATTERS[format](results));
+  
+  if (format === 'table') {
+    console.log(`\n${results.length} aircraft`);
+  }
+}
+
+try {
+  main();
+} catch (error) {
+  console.error(`❌ Error: ${error.message}`);
+  if (process.env.DEBUG) console.error(error.stack);
+  process.exit(1);
+}
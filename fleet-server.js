@@ -0,0 +1,66 @@
+#!/usr/bin/env node
+
+/**
+ * Fleet Catalog API Server
+ * 
+ * Read-only HTTP API over airlines/*.json. Reloads automatically when the
+ * catalog files change on disk.
+ * 
+ * Usage:
+ *   node fleet-server.js               # Listen on port 3000
+ *   node fleet-server.js --port 8080
+ * 
+ * Environment:
+ *   PORT - Port to listen on (overridden by --port)
+ */
+
+import { createCatalogServer } from './lib/server.js';
+
+function printHelp() {
+  console.log(`
+🌐 Fleet Catalog API Server
+
+Usage:
+  node fleet-server.js [--port <N>]
+
+Routes:
+  GET /airlines
+  GET /airlines/:code/aircraft         ?type= &sub_fleet= &wifi= &provider= &status=
+                                       &seats=business>=30 &first_seen= &last_seen=
+  GET /aircraft/:registration
+  GET /aircraft/:registration/history
+  GET /stats
+  GET /reference/wifi-providers
+
+Options:
+  --port <N>   Port to listen on (default: $PORT or 3000)
+  --help       Show this help message
+`);
+}
+
+function log(msg) {
+  console.log(`[${new Date().toISOString()}] ${msg}`);
+}
+
+function main() {
+  const args = process.argv.slice(2);
+  
+  if (args.includes('--help') || args.includes('-h')) {
+    printHelp();
+    process.exit(0);
+  }
+  
+  const portArg = args.find((_, i) => args[i - 1] === '--port');
+  const port = parseInt(portArg || process.env.PORT || '3000', 10);
+  
+  const server = createCatalogServer({ log });
+  server.listen(port, () => {
+    log(`🌐 Fleet catalog API listening on http://localhost:${port}`);
+  });
+  
+  const shutdown = () => server.close(() => process.exit(0));
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+}
+
+main();
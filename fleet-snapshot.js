@@ -0,0 +1,92 @@
+#!/usr/bin/env node
+
+/**
+ * Fleet Snapshot
+ * 
+ * Rebuilds what the fleet looked like on a past date from each aircraft's
+ * `history` deltas. Output uses the catalog schema, with `snapshot_date` set.
+ * 
+ * Usage:
+ *   node fleet-snapshot.js --airline AF --date 2026-02-01             # Print AF snapshot
+ *   node fleet-snapshot.js --date 2026-02-01 --output snapshots/      # Write every airline
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { loadAllCatalogs } from './lib/query.js';
+import { reconstructCatalog } from './lib/snapshot.js';
+
+function printHelp() {
+  console.log(`
+🕰️  Fleet Snapshot
+
+Usage:
+  node fleet-snapshot.js --date <YYYY-MM-DD> [options]
+
+Required:
+  --date <YYYY-MM-DD>  Rebuild the fleet as of the end of this date
+
+Options:
+  --airline <CODE>     Only this airline (required when printing to stdout)
+  --output <DIR>       Write <DIR>/<CODE>.json instead of printing
+  --help               Show this help message
+
+Examples:
+  node fleet-snapshot.js --airline AF --date 2026-02-01
+  node fleet-snapshot.js --date 2026-02-01 --output snapshots/
+`);
+}
+
+function main() {
+  const args = process.argv.slice(2);
+  
+  if (args.includes('--help') || args.includes('-h')) {
+    printHelp();
+    process.exit(0);
+  }
+  
+  const dateArg = args.find((_, i) => args[i - 1] === '--date');
+  const airlineArg = args.find((_, i) => args[i - 1] === '--airline');
+  const outputArg = args.find((_, i) => args[i - 1] === '--output');
+  
+  if (!dateArg || !/^\d{4}-\d{2}-\d{2}$/.test(dateArg)) {
+    console.error('❌ Error: --date <YYYY-MM-DD> is required');
+    printHelp();
+    process.exit(1);
+  }
+  
+  const catalogs = loadAllCatalogs();
+  const codes = airlineArg ? [airlineArg.toUpperCase()] : Object.keys(catalogs);
+  
+  for (const code of codes) {
+    if (!catalogs[code]) {
+      console.error(`❌ Error: no catalog for airline ${code}`);
+      process.exit(1);
+    }
+  }
+  
+  if (!outputArg) {
+    if (codes.length !== 1) {
+      console.error('❌ Error: use --airline to print one snapshot, or --output <DIR> for all airlines');
+      process.exit(1);
+    }
+    console.log(JSON.stringify(reconstructCatalog(catalogs[codes[0]], dateArg), null, 2));
+    return;
+  }
+  
+  fs.mkdirSync(outputArg, { recursive: true });
+  for (const code of codes) {
+    const snapshot = reconstructCatalog(catalogs[code], dateArg);
+    const snapshotPath = path.join(outputArg, `${code}.json`);
+    fs.writeFileSync(snapshotPath, JSON.stringify(snapshot, null, 2));
+    console.log(`💾 ${code}: ${snapshot.aircraft_count} aircraft as of ${dateArg} → ${snapshotPath}`);
+  }
+}
+
+try {
+  main();
+} catch (error) {
+  console.error(`❌ Error: ${error.message}`);
+  if (process.env.DEBUG) console.error(error.stack);
+  process.exit(1);
+}
@@ -5,378 +5,48 @@
  * 
  * Standalone script to update AF.json or KL.json without a database.
  * Fetches flights from the Air France/KLM API and updates the catalog.
+ * Thin CLI wrapper around updateCatalog() from the library (index.js).
  * 
  * Usage:
  *   node fleet-update.js --airline AF              # Update Air France
  *   node fleet-update.js --airline KL              # Update KLM
  *   node fleet-update.js --airline KL --bootstrap  # Build from scratch (7 days)
+ *   node fleet-update.js --airline KL --resume     # Continue a bootstrap stopped by rate limits
  *   node fleet-update.js --airline KL --dry-run    # Preview changes
+ *   node fleet-update.js --airline AF --include-partners  # Also keep HOP!, Transavia, ... aircraft
+ *   node fleet-update.js --airline KL --record fixtures   # Save API responses
+ *   node fleet-update.js --airline KL --replay fixtures   # Re-run from saved responses
  * 
  * Environment:
  *   AFKLM_API_KEY  - Single API key for Air France/KLM API
  *   AFKLM_API_KEYS - Comma-separated API keys (for rotation)
+ *   AFKLM_DAILY_QUOTA - Calls allowed per key per day, if the plan has a quota
  */
 
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import {
+  getAirline,
+  listAirlineCodes,
+  configureApi,
+  getApiStats,
+  fetchFlightsForDate,
+  checkpointDirFor,
+  checkpointPagesDir,
+  loadCheckpoint,
+  buildFeedEvents,
+  appendChangeFeed,
+  loadWebhookConfig,
+  dispatchWebhooks,
+  formatDate,
+  getDateRange,
+  updateCatalog,
+  wifiProviderName,
+} from './index.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
-// Airline metadata
-const AIRLINES = {
-  AF: {
-    code: 'AF',
-    name: 'Air France',
-    country: 'France',
-    registrationPrefix: 'F-',
-  },
-  KL: {
-    code: 'KL',
-    name: 'KLM Royal Dutch Airlines',
-    country: 'Netherlands',
-    registrationPrefix: 'PH-',
-  },
-};
-
-// Configuration (loaded dynamically)
-let CONFIG = {
-  apiKeys: [],
-  baseUrl: 'https://api.airfranceklm.com/opendata',
-  pageSize: 100,
-  requestDelay: 5000,
-  catalogPath: null,
-  airlineCode: null,
-};
-
-// Track API usage
-let currentKeyIndex = 0;
-let lastRequestTime = 0;
-let totalRequests = 0;
-
-// ============================================================================
-// API Functions
-// ============================================================================
-
-function getApiKey() {
-  return CONFIG.apiKeys[currentKeyIndex];
-}
-
-function rotateKey() {
-  currentKeyIndex = (currentKeyIndex + 1) % CONFIG.apiKeys.length;
-  return getApiKey();
-}
-
-async function throttle() {
-  const now = Date.now();
-  const timeSince = now - lastRequestTime;
-  if (timeSince < CONFIG.requestDelay) {
-    await new Promise(r => setTimeout(r, CONFIG.requestDelay - timeSince));
-  }
-  lastRequestTime = Date.now();
-}
-
-async function apiRequest(endpoint, params = {}, retryCount = 0) {
-  await throttle();
-  totalRequests++;
-
-  const url = new URL(`${CONFIG.baseUrl}${endpoint}`);
-  Object.entries(params).forEach(([key, value]) => {
-    if (value !== undefined && value !== null) {
-      url.searchParams.append(key, value);
-    }
-  });
-
-  // Rotate key before each request
-  if (CONFIG.apiKeys.length > 1 && retryCount === 0) {
-    rotateKey();
-  }
-
-  const response = await fetch(url.toString(), {
-    method: 'GET',
-    headers: {
-      'API-Key': getApiKey(),
-      'Accept': 'application/hal+json',
-      'Accept-Language': 'en-GB',
-    },
-  });
-
-  if (!response.ok) {
-    // Retry on rate limit (silently rotate key)
-    if ((response.status === 429 || response.status === 403) && retryCount < CONFIG.apiKeys.length - 1) {
-      rotateKey();
-      await new Promise(r => setTimeout(r, 1000));
-      return apiRequest(endpoint, params, retryCount + 1);
-    }
-    throw new Error(`API Error: ${response.status} ${response.statusText}`);
-  }
-
-  return response.json();
-}
-
-// ============================================================================
-// Data Extraction
-// ============================================================================
-
-function extractAircraftFromFlight(flight, airlineCode) {
-  const leg = flight.flightLegs?.[0];
-  if (!leg?.aircraft?.registration) return null;
-
-  const aircraft = leg.aircraft;
-  
-  // Filter by owner airline
-  if (aircraft.ownerAirlineCode !== airlineCode) return null;
-  
-  return {
-    registration: aircraft.registration,
-    typeCode: aircraft.typeCode || null,
-    typeName: aircraft.typeName || null,
-    subFleetCode: aircraft.subFleetCodeId || null,
-    ownerAirlineCode: aircraft.ownerAirlineCode || null,
-    ownerAirlineName: aircraft.ownerAirlineName || null,
-    cabinCrewEmployer: aircraft.cabinCrewEmployer || null,
-    cockpitCrewEmployer: aircraft.cockpitCrewEmployer || null,
-    wifiEnabled: aircraft.wifiEnabled || null,
-    highSpeedWifi: aircraft.highSpeedWifi || null,
-    satelliteConnectivity: aircraft.satelliteConnectivityOnBoard || null,
-    physicalPaxConfiguration: aircraft.physicalPaxConfiguration || null,
-  };
-}
-
-function parseCabinConfig(config) {
-  if (!config) return { first: 0, business: 0, premium_economy: 0, economy: 0 };
-  
-  // P/F = First, J/C = Business, W/S = Premium Economy, Y/M = Economy
-  const mapping = { 
-    P: 'first', F: 'first', 
-    J: 'business', C: 'business', 
-    W: 'premium_economy', S: 'premium_economy',
-    Y: 'economy', M: 'economy'
-  };
-  const classes = { first: 0, business: 0, premium_economy: 0, economy: 0 };
-  
-  const regex = /([PFJCWSYM])(\d{2,3})/g;
-  let match;
-  while ((match = regex.exec(config)) !== null) {
-    const classKey = mapping[match[1]];
-    if (classKey) classes[classKey] += parseInt(match[2], 10);
-  }
-  
-  return classes;
-}
-
-function convertWifi(wifiEnabled, highSpeedWifi) {
-  if (wifiEnabled !== 'Y') return 'none';
-  if (highSpeedWifi === 'Y') return 'high-speed';
-  return 'low-speed';
-}
-
-function transformToSchema(raw, firstSeenDate) {
-  const cabinClasses = parseCabinConfig(raw.physicalPaxConfiguration);
-  
-  return {
-    registration: raw.registration,
-    icao24: null,
-    
-    aircraft_type: {
-      iata_code: raw.typeCode,
-      icao_code: null,
-      manufacturer: guessManufacturer(raw.typeName),
-      model: guessModel(raw.typeName),
-      variant: guessVariant(raw.typeName),
-      full_name: raw.typeName,
-    },
-    
-    operator: {
-      sub_fleet_code: raw.subFleetCode,
-      cabin_crew_employer: raw.cabinCrewEmployer,
-      cockpit_crew_employer: raw.cockpitCrewEmployer,
-    },
-    
-    cabin: {
-      physical_configuration: raw.physicalPaxConfiguration,
-      saleable_configuration: null,
-      total_seats: Object.values(cabinClasses).reduce((a, b) => a + b, 0) || null,
-      classes: cabinClasses,
-      freight_configuration: null,
-    },
-    
-    connectivity: {
-      wifi: convertWifi(raw.wifiEnabled, raw.highSpeedWifi),
-      wifi_provider: raw.highSpeedWifi === 'Y' ? 'Starlink' : null,
-      satellite: raw.satelliteConnectivity === 'Y',
-    },
-    
-    status: 'active',
-    
-    tracking: {
-      first_seen: firstSeenDate,
-      last_seen: firstSeenDate,
-      total_flights: 1,
-    },
-    
-    metadata: {
-      created_at: new Date().toISOString(),
-      updated_at: new Date().toISOString(),
-    },
-    
-    history: [],
-  };
-}
-
-function guessManufacturer(typeName) {
-  if (!typeName) return null;
-  if (typeName.toUpperCase().includes('AIRBUS')) return 'Airbus';
-  if (typeName.toUpperCase().includes('BOEING')) return 'Boeing';
-  if (typeName.toUpperCase().includes('EMBRAER')) return 'Embraer';
-  return null;
-}
-
-function guessModel(typeName) {
-  if (!typeName) return null;
-  const match = typeName.match(/A(\d{3})|(\d{3})/);
-  if (match) return match[1] ? `A${match[1]}` : match[2];
-  return null;
-}
-
-function guessVariant(typeName) {
-  if (!typeName) return null;
-  const match = typeName.match(/-(\d+)/);
-  return match ? match[1] : null;
-}
-
-function formatDate(date) {
-  return date.toISOString().split('T')[0];
-}
-
-// ============================================================================
-// Fetch Flights
-// ============================================================================
-
-async function fetchFlightsForDate(dateStr, airlineCode) {
-  const dayStart = `${dateStr}T00:00:00Z`;
-  const dayEnd = `${dateStr}T23:59:59Z`;
-
-  const allFlights = [];
-  let pageNumber = 0;
-  let hasMore = true;
-
-  while (hasMore) {
-    try {
-      const response = await apiRequest('/flightstatus', {
-        startRange: dayStart,
-        endRange: dayEnd,
-        movementType: 'D',
-        timeOriginType: 'S',
-        timeType: 'U',
-        pageSize: CONFIG.pageSize,
-        pageNumber,
-        operatingAirlineCode: airlineCode,
-      });
-
-      const flights = response.operationalFlights || [];
-      allFlights.push(...flights);
-
-      const page = response.page || {};
-      const totalPages = page.totalPages || 1;
-      
-      process.stdout.write(`\r   ${dateStr}: Page ${pageNumber + 1}/${totalPages} (${allFlights.length} flights)`);
-
-      hasMore = pageNumber < (totalPages - 1);
-      pageNumber++;
-
-      if (pageNumber > 100) break;
-    } catch (error) {
-      if (error.message.includes('403') || error.message.includes('429')) {
-        console.log(`\n   ⚠️  API rate limit reached after ${pageNumber} pages`);
-        break;
-      }
-      throw error;
-    }
-  }
-
-  process.stdout.write('\n');
-  return allFlights;
-}
-
-// ============================================================================
-// Update Logic
-// ============================================================================
-
-function detectChanges(existing, newData, dateStr) {
-  const changes = [];
-
-  if (existing.connectivity?.wifi !== newData.connectivity?.wifi) {
-    changes.push({
-      timestamp: dateStr,
-      property: 'connectivity.wifi',
-      old_value: existing.connectivity?.wifi,
-      new_value: newData.connectivity?.wifi,
-      source: 'airline_api',
-    });
-  }
-
-  if (existing.connectivity?.wifi_provider !== newData.connectivity?.wifi_provider) {
-    changes.push({
-      timestamp: dateStr,
-      property: 'connectivity.wifi_provider',
-      old_value: existing.connectivity?.wifi_provider,
-      new_value: newData.connectivity?.wifi_provider,
-      source: 'airline_api',
-    });
-  }
-
-  if (existing.cabin?.physical_configuration !== newData.cabin?.physical_configuration) {
-    changes.push({
-      timestamp: dateStr,
-      property: 'cabin.physical_configuration',
-      old_value: existing.cabin?.physical_configuration,
-      new_value: newData.cabin?.physical_configuration,
-      source: 'airline_api',
-    });
-  }
-
-  if (existing.operator?.sub_fleet_code !== newData.operator?.sub_fleet_code) {
-    changes.push({
-      timestamp: dateStr,
-      property: 'operator.sub_fleet_code',
-      old_value: existing.operator?.sub_fleet_code,
-      new_value: newData.operator?.sub_fleet_code,
-      source: 'airline_api',
-    });
-  }
-
-  return changes;
-}
-
-function mergeAircraft(existing, newData, changes, dateStr) {
-  existing.connectivity = newData.connectivity;
-  existing.cabin.physical_configuration = newData.cabin.physical_configuration;
-  existing.cabin.total_seats = newData.cabin.total_seats;
-  existing.cabin.classes = newData.cabin.classes;
-  existing.operator = newData.operator;
-  existing.aircraft_type = newData.aircraft_type;
-  
-  existing.tracking.last_seen = dateStr;
-  existing.tracking.total_flights = (existing.tracking.total_flights || 0) + 1;
-  existing.metadata.updated_at = new Date().toISOString();
-  
-  if (changes.length > 0) {
-    const existingKeys = new Set(
-      existing.history.map(h => `${h.timestamp}|${h.property}|${h.old_value}|${h.new_value}`)
-    );
-    
-    for (const change of changes) {
-      const key = `${change.timestamp}|${change.property}|${change.old_value}|${change.new_value}`;
-      if (!existingKeys.has(key)) {
-        existing.history.push(change);
-      }
-    }
-  }
-  
-  return existing;
-}
-
 // ============================================================================
 // Main
 // ============================================================================
@@ -389,37 +59,183 @@ Usage:
   node fleet-update.js --airline <CODE> [options]
 
 Required:
-  --airline <CODE>    Airline code: AF (Air France) or KL (KLM)
+  --airline <CODE>    Airline code from reference/airlines.json (${listAirlineCodes().join(', ')})
 
 Options:
   --dry-run           Preview changes without saving
   --date <YYYY-MM-DD> Use specific date instead of today
-  --bootstrap         Build catalog from scratch (crawl last 7 days)
+  --bootstrap         Build catalog from scratch (crawl last 7 days, ending --date)
   --days <N>          Number of days for bootstrap (default: 7)
+  --resume            Continue the bootstrap saved in .checkpoints/<CODE>/ after
+                      the API keys ran out (dates and options come from it)
   --verbose           Show detailed output
-  --output-changes    Export changes to changes.json
-  --stale-days <N>    Days threshold for stale aircraft (default: 30)
+  --output-changes    Export this run's changes to <code>-changes.json
+  --no-feed           Don't append this run's changes to the changes/ feed
+  --webhooks <FILE>   Webhook rules (default: webhooks.json, used when present;
+                      see webhooks.example.json)
+  --no-webhooks       Don't send webhook notifications
+  --record <DIR>      Save every /flightstatus response page under DIR
+  --replay <DIR>      Read /flightstatus pages from DIR instead of the API
+                      (no API key needed)
+  --stale-days <N>    Days unseen before an aircraft is marked stored (default: 30)
+  --retire-days <N>   Days unseen before an aircraft is marked retired (default: 180)
+  --include-partners  Also keep aircraft owned by other airlines (sub-carriers,
+                      wet leases); they are saved to airlines/<OWNER>.json
   --help              Show this help message
 
 Environment:
   AFKLM_API_KEY       Single API key
   AFKLM_API_KEYS      Comma-separated API keys (for rotation)
+  AFKLM_DAILY_QUOTA   Calls allowed per key per day, if the plan has a quota
+                      (per-key usage is kept in .api-key-state.json)
+
+Exit codes:
+  0  Done
+  1  Error
+  2  Bootstrap stopped by rate limits - progress saved, run again with --resume
 
 Examples:
   node fleet-update.js --airline AF                  # Update Air France
   node fleet-update.js --airline KL --bootstrap      # Build KLM catalog
   node fleet-update.js --airline KL --dry-run        # Preview KLM changes
+  node fleet-update.js --airline KL --record fixtures               # Save API responses
+  node fleet-update.js --airline KL --date 2026-03-22 --replay fixtures  # Reprocess offline
 `);
 }
 
-function getDateRange(startDate, days) {
-  const dates = [];
-  for (let i = days - 1; i >= 0; i--) {
-    const d = new Date(startDate);
-    d.setDate(d.getDate() - i);
-    dates.push(formatDate(d));
+// Fetcher that reports page progress on the console
+function consoleFetcher(dateStr, airlineCode, { onPage } = {}) {
+  console.log(`📡 Fetching ${airlineCode} flights for ${dateStr}...`);
+  
+  return fetchFlightsForDate(dateStr, airlineCode, {
+    onPage: (progress) => {
+      const { pageNumber, totalPages, flightCount } = progress;
+      process.stdout.write(`\r   ${dateStr}: Page ${pageNumber + 1}/${totalPages} (${flightCount} flights)`);
+      onPage?.(progress);
+    },
+    onRateLimit: ({ pageNumber }) => {
+      console.log(`\n   ⚠️  API rate limit reached after ${pageNumber} pages`);
+    },
+  }).then(flights => {
+    process.stdout.write('\n');
+    return flights;
+  });
+}
+
+function printResult(result, { verbose, bootstrap, staleDays, retireDays }) {
+  console.log();
+  for (const day of result.days) {
+    const otherLegs = Object.entries(day.legs_by_owner)
+      .filter(([owner]) => owner !== result.airline)
+      .reduce((sum, [, legs]) => sum + legs, 0);
+    console.log(`   ${day.date}: ${day.aircraft} unique aircraft (${otherLegs} legs flown by aircraft not owned by ${result.airline})`);
+    if (day.reprocessed) {
+      console.log(`   ↩️  ${day.date} already processed - flight counts left unchanged`);
+    }
+    if (!day.complete) {
+      console.log(`   ⚠️  ${day.date} only partially fetched - marked incomplete, not used for status transitions`);
+    }
+  }
+  
+  if (result.conflicts.length > 0) {
+    console.log(`\n⚠️  ${result.conflicts.length} leg conflicts (legs of one flight disagree on aircraft properties):`);
+    result.conflicts.forEach(c => console.log(`   ${c.date} ${c.flight} ${c.registration} ${c.property}: ${c.values.map(String).join(' / ')}`));
+  }
+  
+  if (result.unknown_types.length > 0) {
+    console.log(`\n⚠️  ${result.unknown_types.length} aircraft type codes missing from reference/aircraft-types.json:`);
+    result.unknown_types.forEach(t => console.log(`   ${t.type_code || '(none)'} ${t.type_name || ''} - ${t.registrations.join(', ')}`));
+  }
+  
+  if (result.icao24_mismatches.length > 0) {
+    console.log(`\n⚠️  ${result.icao24_mismatches.length} ICAO24 mismatches (check reference/icao24.json or the catalog):`);
+    result.icao24_mismatches.forEach(m => console.log(`   ${m.registration}: ${m.problems.join('; ')}`));
+  }
+  
+  if (result.override_conflicts.length > 0) {
+    console.log(`\n⚠️  ${result.override_conflicts.length} overrides the API disagrees with (kept; review overrides/):`);
+    result.override_conflicts.forEach(c => console.log(`   ${c.registration} ${c.property}: override ${JSON.stringify(c.override_value)}, API ${JSON.stringify(c.api_value)} (${c.date})`));
+  }
+  
+  if (result.overrides_missing.length > 0) {
+    console.log(`\n⚠️  ${result.overrides_missing.length} overrides for aircraft not in the catalog:`);
+    result.overrides_missing.forEach(m => console.log(`   overrides/${m.owner}.json: ${m.registration}`));
+  }
+  
+  if (verbose && result.overrides_applied.length > 0) {
+    console.log(`\n✏️  Overrides applied:`);
+    result.overrides_applied.forEach(a => console.log(`   ${a.registration} ${a.property}: ${JSON.stringify(a.old_value)} → ${JSON.stringify(a.new_value)} (${a.source})`));
+  }
+  
+  if (verbose || bootstrap) {
+    result.new.forEach(n => {
+      const owner = n.owner !== result.airline ? ` → ${n.owner}.json` : '';
+      console.log(`   ➕ NEW: ${n.registration} (${n.type_name || 'Unknown'})${owner}`);
+    });
+  }
+  
+  if (verbose) {
+    for (const u of result.updated) {
+      console.log(`   🔄 UPDATED: ${u.registration}`);
+      u.changes.forEach(c => console.log(`      ${c.property}: ${c.old_value} → ${c.new_value}`));
+    }
+  }
+  
+  if (result.stale.length > 0) {
+    console.log(`\n⚠️  Status transitions (stored after ${staleDays}+ days, retired after ${retireDays}+ days): ${result.stale.length}`);
+    for (const { registration, idle_days: idleDays, change } of result.stale) {
+      const idle = Number.isFinite(idleDays) ? `${idleDays} days ago` : 'never';
+      console.log(`   - ${registration}: ${change.old_value} → ${change.new_value} (last seen: ${idle})`);
+    }
+  }
+
+  // Summary
+  console.log('\n' + '═'.repeat(50));
+  console.log('📊 Summary');
+  console.log('═'.repeat(50));
+  console.log(`   New aircraft:     ${result.new.length}`);
+  console.log(`   Updated aircraft: ${result.updated.length}`);
+  console.log(`   Seen (no change): ${result.seen.length}`);
+  console.log(`   Total in catalog: ${result.catalog.aircraft.length}`);
+  console.log(`   Status changes:   ${result.stale.length}`);
+  console.log(`   Leg conflicts:    ${result.conflicts.length}`);
+  console.log(`   ICAO24 filled:    ${result.icao24_filled.length}`);
+  console.log(`   Overrides:        ${result.overrides_applied.length} applied, ${result.override_conflicts.length} conflicts`);
+  console.log(`   Total changes:    ${result.changes.length}`);
+  console.log(`   API requests:     ${getApiStats().totalRequests}`);
+
+  // Per-key usage, to size how many keys the daily runs need
+  const keyStats = getApiStats().keys.filter(k => k.calls > 0 || k.unavailable_until);
+  if (keyStats.length > 0) {
+    console.log('\n🔑 API Key Usage:');
+    for (const k of keyStats) {
+      const today = k.daily_quota ? `${k.calls_today}/${k.daily_quota}` : `${k.calls_today}`;
+      const cooling = k.unavailable_until ? `, unavailable until ${k.unavailable_until}` : '';
+      console.log(`   ${k.label}: ${k.calls} calls (${k.failures} failed), today: ${today}${cooling}`);
+    }
+  }
+
+  // WiFi stats (retired aircraft are no longer part of the fleet)
+  const inService = result.catalog.aircraft.filter(a => a.status !== 'retired');
+  const wifiStats = { none: 0, 'low-speed': 0, 'high-speed': 0 };
+  inService.forEach(a => {
+    const wifi = a.connectivity?.wifi || 'none';
+    wifiStats[wifi] = (wifiStats[wifi] || 0) + 1;
+  });
+  const total = inService.length;
+  console.log('\n📶 Fleet WiFi Status:');
+  console.log(`   High-speed: ${wifiStats['high-speed']} (${total ? Math.round(wifiStats['high-speed'] / total * 100) : 0}%)`);
+  console.log(`   Low-speed:  ${wifiStats['low-speed']} (${total ? Math.round(wifiStats['low-speed'] / total * 100) : 0}%)`);
+  console.log(`   None:       ${wifiStats['none']} (${total ? Math.round(wifiStats['none'] / total * 100) : 0}%)`);
+
+  const providerStats = {};
+  inService.filter(a => (a.connectivity?.wifi || 'none') !== 'none').forEach(a => {
+    const name = wifiProviderName(a.connectivity?.wifi_provider) || 'Unknown provider';
+    providerStats[name] = (providerStats[name] || 0) + 1;
+  });
+  for (const [name, count] of Object.entries(providerStats).sort((a, b) => b[1] - a[1])) {
+    console.log(`   - ${name}: ${count}`);
   }
-  return dates;
 }
 
 async function main() {
@@ -435,79 +251,112 @@ async function main() {
   const dryRun = args.includes('--dry-run');
   const verbose = args.includes('--verbose') || args.includes('-v');
   const outputChanges = args.includes('--output-changes');
+  const noFeed = args.includes('--no-feed');
+  const noWebhooks = args.includes('--no-webhooks');
+  const webhooksArg = args.find((_, i) => args[i - 1] === '--webhooks');
   const bootstrap = args.includes('--bootstrap');
+  const resume = args.includes('--resume');
+  const includePartners = args.includes('--include-partners');
   const dateArg = args.find((_, i) => args[i - 1] === '--date');
   const daysArg = args.find((_, i) => args[i - 1] === '--days');
   const staleDaysArg = args.find((_, i) => args[i - 1] === '--stale-days');
+  const retireDaysArg = args.find((_, i) => args[i - 1] === '--retire-days');
+  const recordArg = args.find((_, i) => args[i - 1] === '--record');
+  const replayArg = args.find((_, i) => args[i - 1] === '--replay');
   
   const staleDays = parseInt(staleDaysArg || '30', 10);
+  const retireDays = parseInt(retireDaysArg || '180', 10);
   const bootstrapDays = parseInt(daysArg || '7', 10);
   
   // Validate airline
-  if (!airlineArg || !AIRLINES[airlineArg]) {
-    console.error('❌ Error: --airline is required (AF or KL)');
+  const airline = airlineArg ? getAirline(airlineArg) : null;
+  if (!airline) {
+    console.error(`❌ Error: --airline is required (${listAirlineCodes().join(', ')})`);
     printHelp();
     process.exit(1);
   }
   
-  const airlineCode = airlineArg.toUpperCase();
-  const airline = AIRLINES[airlineCode];
+  const airlineCode = airline.code;
   
-  // Load API keys from environment
+  if (resume && (bootstrap || dryRun || dateArg || daysArg)) {
+    console.error('❌ Error: --resume takes its dates and options from the checkpoint');
+    process.exit(1);
+  }
+
+  if (recordArg && replayArg) {
+    console.error('❌ Error: --record and --replay cannot be used together');
+    process.exit(1);
+  }
+  
+  // Load API keys from environment (not needed when replaying recorded responses)
   const apiKeys = (process.env.AFKLM_API_KEYS || process.env.AFKLM_API_KEY || '').split(',').filter(k => k);
-  if (apiKeys.length === 0) {
+  if (apiKeys.length === 0 && !replayArg) {
     console.error('❌ Error: No API key found. Set AFKLM_API_KEY or AFKLM_API_KEYS environment variable.');
     process.exit(1);
   }
   
   // Configure
-  CONFIG.apiKeys = apiKeys;
-  CONFIG.airlineCode = airlineCode;
-  CONFIG.catalogPath = path.join(__dirname, 'airlines', `${airlineCode}.json`);
+  const recordDir = recordArg ? path.resolve(recordArg) : null;
+  const replayDir = replayArg ? path.resolve(replayArg) : null;
+  const dailyQuota = process.env.AFKLM_DAILY_QUOTA ? parseInt(process.env.AFKLM_DAILY_QUOTA, 10) : null;
+  configureApi({
+    apiKeys,
+    recordDir,
+    replayDir,
+    dailyQuota,
+    keyStatePath: path.join(__dirname, '.api-key-state.json'),
+  });
+  const catalogPath = path.join(__dirname, 'airlines', `${airlineCode}.json`);
+
+  // Bootstraps are checkpointed so a rate-limited crawl can be resumed
+  const checkpointDir = (bootstrap && !dryRun) || resume ? checkpointDirFor(airlineCode) : null;
+  const checkpoint = checkpointDir ? loadCheckpoint(checkpointDir) : null;
+  if (resume && !checkpoint) {
+    console.error(`❌ Error: No unfinished ${airlineCode} bootstrap to resume (${checkpointDir})`);
+    process.exit(1);
+  }
+  if (!resume && checkpoint) {
+    console.error(`❌ Error: Unfinished ${airlineCode} bootstrap in ${checkpointDir}`);
+    console.error('   Run again with --resume, or delete that directory to start over.');
+    process.exit(1);
+  }
+  if (checkpointDir) {
+    configureApi({ cacheDir: checkpointPagesDir(checkpointDir) });
+  }
   
   console.log(`\n✈️  ${airline.name} Fleet Catalog Updater\n`);
-  console.log(`   🔑 API keys loaded: ${apiKeys.length}`);
+  if (replayDir) {
+    console.log(`   📼 Replaying recorded responses from ${replayDir}`);
+  } else {
+    console.log(`   🔑 API keys loaded: ${apiKeys.length}`);
+  }
+  if (recordDir) {
+    console.log(`   ⏺️  Recording responses to ${recordDir}`);
+  }
   
   if (dryRun) {
     console.log('   🔍 DRY RUN - no changes will be saved\n');
   }
 
-  // Load or create catalog
-  let catalog;
-  const catalogExists = fs.existsSync(CONFIG.catalogPath);
-  
-  if (catalogExists && !bootstrap) {
-    console.log(`📂 Loading ${CONFIG.catalogPath}...`);
-    const content = fs.readFileSync(CONFIG.catalogPath, 'utf-8');
-    catalog = JSON.parse(content);
-    console.log(`   Found ${catalog.aircraft_count} aircraft\n`);
+  if (resume) {
+    const { dates, completed_dates: completed, stopped } = checkpoint.state;
+    console.log(`⏯️  Resuming ${airline.name} bootstrap: ${completed.length}/${dates.length} days done`);
+    if (stopped) console.log(`   Stopped at ${stopped.date} page ${stopped.page_number} (${stopped.at})`);
+    console.log();
+  } else if (bootstrap) {
+    console.log(`🚀 Bootstrap mode: Creating new catalog for ${airline.name}\n`);
+  } else if (fs.existsSync(catalogPath)) {
+    console.log(`📂 Loading ${catalogPath}...\n`);
   } else {
-    if (bootstrap) {
-      console.log(`🚀 Bootstrap mode: Creating new catalog for ${airline.name}\n`);
-    } else {
-      console.log(`📂 No existing catalog found, creating new one\n`);
-    }
-    catalog = {
-      schema_version: '1.0.0',
-      airline: {
-        iata_code: airlineCode,
-        name: airline.name,
-        country: airline.country,
-      },
-      generated_at: new Date().toISOString(),
-      aircraft_count: 0,
-      aircraft: [],
-    };
+    console.log(`📂 No existing catalog found, creating new one\n`);
   }
 
-  // Build lookup
-  const aircraftByReg = new Map();
-  catalog.aircraft.forEach(a => aircraftByReg.set(a.registration, a));
-
   // Determine dates to process
   let datesToProcess;
-  if (bootstrap) {
-    datesToProcess = getDateRange(new Date(), bootstrapDays);
+  if (resume) {
+    datesToProcess = checkpoint.state.dates;
+  } else if (bootstrap) {
+    datesToProcess = getDateRange(dateArg ? new Date(dateArg) : new Date(), bootstrapDays);
     console.log(`📅 Crawling ${bootstrapDays} days: ${datesToProcess[0]} → ${datesToProcess[datesToProcess.length - 1]}\n`);
   } else {
     const targetDate = dateArg || formatDate(new Date());
@@ -515,142 +364,68 @@ async function main() {
     console.log(`📅 Processing: ${targetDate}\n`);
   }
 
-  // Process each date
-  let totalNew = 0;
-  let totalUpdated = 0;
-  let totalSeen = 0;
-  const allChanges = [];
-  const seenAircraftAll = new Map();
-
-  for (const dateStr of datesToProcess) {
-    console.log(`📡 Fetching ${airlineCode} flights for ${dateStr}...`);
-    
-    const flights = await fetchFlightsForDate(dateStr, airlineCode);
-    
-    // Extract aircraft
-    const seenToday = new Map();
-    for (const flight of flights) {
-      const extracted = extractAircraftFromFlight(flight, airlineCode);
-      if (extracted && extracted.registration) {
-        seenToday.set(extracted.registration, extracted);
-        seenAircraftAll.set(extracted.registration, { data: extracted, date: dateStr });
-      }
-    }
-
-    console.log(`   ✈️  ${seenToday.size} unique ${airlineCode} aircraft\n`);
-
-    // Process
-    for (const [reg, rawData] of seenToday) {
-      const newData = transformToSchema(rawData, dateStr);
-      const existing = aircraftByReg.get(reg);
-
-      if (!existing) {
-        totalNew++;
-        if (verbose || bootstrap) {
-          console.log(`   ➕ NEW: ${reg} (${rawData.typeName || 'Unknown'})`);
-        }
-        
-        if (!dryRun) {
-          catalog.aircraft.push(newData);
-          aircraftByReg.set(reg, newData);
-        }
-      } else {
-        const changes = detectChanges(existing, newData, dateStr);
-        
-        if (changes.length > 0) {
-          totalUpdated++;
-          if (verbose) {
-            console.log(`   🔄 UPDATED: ${reg}`);
-            changes.forEach(c => console.log(`      ${c.property}: ${c.old_value} → ${c.new_value}`));
-          }
-          allChanges.push(...changes.map(c => ({ registration: reg, ...c })));
-          
-          if (!dryRun) {
-            mergeAircraft(existing, newData, changes, dateStr);
-          }
-        } else {
-          totalSeen++;
-          if (!dryRun) {
-            existing.tracking.last_seen = dateStr;
-            existing.tracking.total_flights = (existing.tracking.total_flights || 0) + 1;
-          }
-        }
-      }
-    }
-  }
-
-  // Summary
-  console.log('\n' + '═'.repeat(50));
-  console.log('📊 Summary');
-  console.log('═'.repeat(50));
-  console.log(`   New aircraft:     ${totalNew}`);
-  console.log(`   Updated aircraft: ${totalUpdated}`);
-  console.log(`   Seen (no change): ${totalSeen}`);
-  console.log(`   Total in catalog: ${catalog.aircraft.length}`);
-  console.log(`   Total changes:    ${allChanges.length}`);
-  console.log(`   API requests:     ${totalRequests}`);
-
-  // Stale aircraft
-  if (!bootstrap) {
-    const notSeen = catalog.aircraft.filter(a => !seenAircraftAll.has(a.registration));
-    const todayDate = new Date();
-    const staleThreshold = new Date(todayDate.getTime() - staleDays * 24 * 60 * 60 * 1000);
-    const staleAircraft = notSeen.filter(a => {
-      if (!a.tracking?.last_seen) return true;
-      return new Date(a.tracking.last_seen) < staleThreshold;
-    });
-    
-    if (staleAircraft.length > 0) {
-      console.log(`\n⚠️  Stale aircraft (not seen in ${staleDays}+ days): ${staleAircraft.length}`);
-      staleAircraft.slice(0, 5).forEach(a => {
-        console.log(`   - ${a.registration} (last: ${a.tracking?.last_seen || 'never'})`);
-      });
-      if (staleAircraft.length > 5) console.log(`   ... and ${staleAircraft.length - 5} more`);
-    }
-  }
-
-  // WiFi stats
-  const wifiStats = { none: 0, 'low-speed': 0, 'high-speed': 0 };
-  catalog.aircraft.forEach(a => {
-    const wifi = a.connectivity?.wifi || 'none';
-    wifiStats[wifi] = (wifiStats[wifi] || 0) + 1;
+  const result = await updateCatalog({
+    airline: airlineCode,
+    dates: datesToProcess,
+    fetcher: consoleFetcher,
+    dryRun,
+    bootstrap,
+    includePartners,
+    catalogPath,
+    storedDays: staleDays,
+    retiredDays: retireDays,
+    checkpointDir,
+    resume,
   });
-  const total = catalog.aircraft.length;
-  console.log('\n📶 Fleet WiFi Status:');
-  console.log(`   High-speed (Starlink): ${wifiStats['high-speed']} (${total ? Math.round(wifiStats['high-speed'] / total * 100) : 0}%)`);
-  console.log(`   Low-speed:             ${wifiStats['low-speed']} (${total ? Math.round(wifiStats['low-speed'] / total * 100) : 0}%)`);
-  console.log(`   None:                  ${wifiStats['none']} (${total ? Math.round(wifiStats['none'] / total * 100) : 0}%)`);
+
+  printResult(result, { verbose, bootstrap: bootstrap || resume, staleDays, retireDays });
 
   // Export changes
-  if (outputChanges && allChanges.length > 0) {
+  if (outputChanges && result.changes.length > 0) {
     const changesPath = path.join(__dirname, `${airlineCode.toLowerCase()}-changes.json`);
     fs.writeFileSync(changesPath, JSON.stringify({
       generated_at: new Date().toISOString(),
       airline: airlineCode,
-      changes: allChanges,
+      changes: result.changes,
     }, null, 2));
     console.log(`\n📝 Changes exported to ${changesPath}`);
   }
 
-  // Save
-  if (!dryRun && (totalNew > 0 || totalUpdated > 0 || totalSeen > 0)) {
-    catalog.generated_at = new Date().toISOString();
-    catalog.aircraft_count = catalog.aircraft.length;
+  if (result.stopped && checkpointDir) {
+    console.log(`\n⏸️  API keys exhausted at ${result.stopped.date} page ${result.stopped.page_number} - nothing saved in place yet`);
+    console.log(`   Progress saved to ${checkpointDir}`);
+    console.log(`   Continue with: node fleet-update.js --airline ${airlineCode} --resume`);
+    console.log();
+    process.exitCode = 2;
+    return;
+  }
 
-    catalog.aircraft.sort((a, b) => {
-      const typeCompare = (a.aircraft_type?.iata_code || '').localeCompare(b.aircraft_type?.iata_code || '');
-      if (typeCompare !== 0) return typeCompare;
-      return a.registration.localeCompare(b.registration);
-    });
+  const events = result.savedPaths.length > 0 ? buildFeedEvents(result) : [];
 
-    // Ensure directory exists
-    const dir = path.dirname(CONFIG.catalogPath);
-    if (!fs.existsSync(dir)) {
-      fs.mkdirSync(dir, { recursive: true });
+  // Append to the changes/ feed (generate-feed.js renders it as Atom/RSS)
+  if (!noFeed && events.length > 0) {
+    const files = appendChangeFeed(events);
+    console.log(`\n📰 Change feed: ${files.map(f => path.relative(__dirname, f)).join(', ')}`);
+  }
+
+  // Notify webhooks whose rules match this run's changes
+  const webhookConfig = noWebhooks ? null : loadWebhookConfig(path.resolve(webhooksArg || path.join(__dirname, 'webhooks.json')));
+  if (webhooksArg && !noWebhooks && !webhookConfig) {
+    throw new Error(`Webhook config not found: ${webhooksArg}`);
+  }
+  if (webhookConfig && events.length > 0) {
+    const deliveries = await dispatchWebhooks(events, webhookConfig);
+    if (deliveries.length > 0) console.log('\n🔔 Webhooks:');
+    for (const d of deliveries) {
+      const outcome = d.ok
+        ? `delivered (${d.attempts} attempt${d.attempts > 1 ? 's' : ''})`
+        : `failed after ${d.attempts} attempts: ${d.error} - saved to ${path.relative(__dirname, webhookConfig.dead_letter_file)}`;
+      console.log(`   ${d.ok ? '✅' : '❌'} ${d.webhook}: ${d.events} events ${outcome}`);
     }
+  }
 
-    console.log(`\n💾 Saving to ${CONFIG.catalogPath}...`);
-    fs.writeFileSync(CONFIG.catalogPath, JSON.stringify(catalog, null, 2));
+  if (result.savedPaths.length > 0) {
+    result.savedPaths.forEach(p => console.log(`\n💾 Saved to ${p}`));
     console.log('✅ Done!');
   } else if (dryRun) {
     console.log('\n🔍 Dry run complete - no changes saved');
@@ -666,4 +441,3 @@ main().catch(error => {
   if (process.env.DEBUG) console.error(error.stack);
   process.exit(1);
 });
-
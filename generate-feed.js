@@ -0,0 +1,67 @@
+#!/usr/bin/env node
+
+/**
+ * Generate Atom/RSS feeds of fleet changes
+ *
+ * Renders the most recent events of the changes/*.jsonl feed as
+ * changes/feed.atom, changes/feed.rss and one changes/<CODE>.atom per airline.
+ * Run this after updating fleet data, like generate-readme.js.
+ *
+ * Usage:
+ *   node generate-feed.js              # Last 100 events per feed
+ *   node generate-feed.js --limit 500
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { getAirline } from './lib/airlines.js';
+import { DEFAULT_FEED_DIR, readChangeFeed, renderAtom, renderRss } from './lib/feed.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+function repositoryUrl() {
+  const pkg = JSON.parse(fs.readFileSync(path.join(__dirname, 'package.json'), 'utf-8'));
+  return (pkg.repository?.url || '').replace(/\.git$/, '');
+}
+
+function writeFeed(file, content) {
+  fs.writeFileSync(path.join(DEFAULT_FEED_DIR, file), content);
+  console.log(`   📝 changes/${file}`);
+}
+
+function main() {
+  const args = process.argv.slice(2);
+  const limitArg = args.find((_, i) => args[i - 1] === '--limit');
+  const limit = parseInt(limitArg || '100', 10);
+
+  console.log('📰 Generating change feeds...\n');
+
+  const repo = repositoryUrl();
+  const feedUrl = file => `${repo}/blob/main/changes/${file}`;
+
+  const events = readChangeFeed(DEFAULT_FEED_DIR, { limit });
+  if (events.length === 0) {
+    console.log('   No changes recorded yet (fleet-update.js appends to changes/)\n');
+    return;
+  }
+
+  const title = 'Fleet Catalog changes';
+  writeFeed('feed.atom', renderAtom(events, { title, link: repo, feedUrl: feedUrl('feed.atom') }));
+  writeFeed('feed.rss', renderRss(events, { title, link: repo }));
+
+  const airlines = [...new Set(readChangeFeed(DEFAULT_FEED_DIR).map(e => e.airline))].sort();
+  for (const code of airlines) {
+    const name = getAirline(code)?.name || code;
+    const airlineEvents = readChangeFeed(DEFAULT_FEED_DIR, { airline: code, limit });
+    writeFeed(`${code}.atom`, renderAtom(airlineEvents, {
+      title: `${name} fleet changes`,
+      link: repo,
+      feedUrl: feedUrl(`${code}.atom`),
+    }));
+  }
+
+  console.log(`\n✅ ${events.length} events in feed.atom / feed.rss`);
+}
+
+main();
@@ -13,14 +13,21 @@
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { aircraftTypeName, getAircraftType } from './lib/aircraft-types.js';
+import { getAirline } from './lib/airlines.js';
+import { CURRENT_SCHEMA_VERSION, parseCatalog } from './lib/migrations/index.js';
+import { aircraftAge } from './lib/planespotters.js';
+import { getWifiProvider } from './lib/wifi-providers.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
-// Airline display info
-const AIRLINE_INFO = {
-  AF: { name: 'Air France', flag: '🇫🇷', country: 'France' },
-  KL: { name: 'KLM', flag: '🇳🇱', country: 'Netherlands' },
-};
+// Airline display info from reference/airlines.json
+function getAirlineInfo(code) {
+  const airline = getAirline(code);
+  return airline
+    ? { name: airline.displayName, flag: airline.flag, country: airline.countryName }
+    : { name: code, flag: '✈️' };
+}
 
 // Load all airline data
 function loadAirlines() {
@@ -31,34 +38,52 @@ function loadAirlines() {
   for (const file of files) {
     const code = file.replace('.json', '');
     const content = fs.readFileSync(path.join(airlinesDir, file), 'utf-8');
-    airlines[code] = JSON.parse(content);
+    airlines[code] = parseCatalog(content, file);
   }
   return airlines;
 }
 
-// Get fleet breakdown by type
-function getFleetBreakdown(aircraft) {
+// Retired aircraft stay in the catalog for history but are no longer fleet
+function getInService(aircraft) {
+  return aircraft.filter(a => a.status !== 'retired');
+}
+
+// Get fleet breakdown by type, with ages from metadata.delivery_date
+function getFleetBreakdown(aircraft, onDate) {
   const breakdown = {};
   
   for (const a of aircraft) {
-    const typeName = a.aircraft_type?.full_name || 'Unknown';
-    // Simplify type name
-    let simpleType = typeName
-      .replace('AIRBUS ', '')
-      .replace('BOEING ', '')
-      .replace(' (WINGLETS) PASSENGER/BBJ1', '')
-      .replace(' (WINGLETS) PASSENGER/BBJ2', '')
-      .replace(' (WINGLETS) PASSENGER/BBJ3', '')
-      .replace('/200 ER', '-200ER')
-      .replace('-200/200 ER', '-200ER')
-      .trim();
+    const simpleType = aircraftTypeName(a.aircraft_type);
     
-    breakdown[simpleType] = (breakdown[simpleType] || 0) + 1;
+    if (!breakdown[simpleType]) breakdown[simpleType] = { count: 0, ages: [] };
+    breakdown[simpleType].count++;
+    const age = aircraftAge(a, onDate);
+    if (age !== null) breakdown[simpleType].ages.push(age);
   }
   
   // Sort by count descending
   return Object.entries(breakdown)
-    .sort((a, b) => b[1] - a[1]);
+    .sort((a, b) => b[1].count - a[1].count);
+}
+
+// Average age, with how many aircraft it covers when not all delivery dates are known
+function formatAge(ages, count) {
+  if (ages.length === 0) return '-';
+  const average = (ages.reduce((a, b) => a + b, 0) / ages.length).toFixed(1);
+  return ages.length < count ? `${average} yrs (${ages.length}/${count})` : `${average} yrs`;
+}
+
+// Type codes the README cannot name from reference/aircraft-types.json
+function findUnknownTypes(airlines) {
+  const unknown = new Map();
+  for (const data of Object.values(airlines)) {
+    for (const a of data.aircraft) {
+      const code = a.aircraft_type?.iata_code || '(none)';
+      if (getAircraftType(a.aircraft_type?.iata_code)) continue;
+      unknown.set(code, (unknown.get(code) || 0) + 1);
+    }
+  }
+  return unknown;
 }
 
 // Get WiFi stats
@@ -82,24 +107,76 @@ function getWifiStats(aircraft) {
   };
 }
 
+// Aircraft per speed tier and provider, per airline
+function getProviderBreakdown(airlines) {
+  const tiers = ['high-speed', 'low-speed', 'none'];
+  const rows = {};
+  
+  for (const [code, data] of Object.entries(airlines)) {
+    for (const a of getInService(data.aircraft)) {
+      const tier = a.connectivity?.wifi || 'none';
+      const provider = tier === 'none' ? null : getWifiProvider(a.connectivity?.wifi_provider);
+      const name = tier === 'none' ? '-' : provider?.name || a.connectivity?.wifi_provider || 'Unknown provider';
+      const key = `${tier}|||${name}`;
+      
+      if (!rows[key]) {
+        rows[key] = { tier, name, known: tier === 'none' || !!provider, counts: {}, total: 0 };
+      }
+      rows[key].counts[code] = (rows[key].counts[code] || 0) + 1;
+      rows[key].total++;
+    }
+  }
+  
+  // Tiers fastest first, then known providers by size, unknown last
+  return Object.values(rows).sort((a, b) => {
+    const tierCompare = tiers.indexOf(a.tier) - tiers.indexOf(b.tier);
+    if (tierCompare !== 0) return tierCompare;
+    if (a.known !== b.known) return a.known ? -1 : 1;
+    return b.total - a.total;
+  });
+}
+
+// Generate connectivity table by speed tier and provider
+function generateProviderTable(airlines) {
+  const codes = Object.keys(airlines);
+  const tierLabels = { 'high-speed': '🛜 High-speed', 'low-speed': '📶 Low-speed', none: '❌ None' };
+  
+  let md = `| Speed Tier | Provider | ${codes.map(code => `${getAirlineInfo(code).flag} ${getAirlineInfo(code).name}`).join(' | ')} | Total |\n`;
+  md += `|------------|----------|${codes.map(() => '------').join('|')}|-------|\n`;
+  
+  for (const row of getProviderBreakdown(airlines)) {
+    const counts = codes.map(code => row.counts[code] || 0);
+    md += `| ${tierLabels[row.tier]} | ${row.name} | ${counts.join(' | ')} | ${row.total} |\n`;
+  }
+  
+  return md;
+}
+
 // Generate markdown table for fleet breakdown
-function generateFleetTable(airlines) {
+function generateFleetTable(airlines, onDate) {
   let md = '';
   
   for (const [code, data] of Object.entries(airlines)) {
-    const info = AIRLINE_INFO[code] || { name: code, flag: '✈️' };
-    const breakdown = getFleetBreakdown(data.aircraft);
-    const wifi = getWifiStats(data.aircraft);
+    const info = getAirlineInfo(code);
+    const inService = getInService(data.aircraft);
+    const breakdown = getFleetBreakdown(inService, onDate);
+    const wifi = getWifiStats(inService);
     
     md += `### ${info.flag} ${info.name} (${code})\n\n`;
-    md += `| Aircraft Type | Count |\n`;
-    md += `|---------------|-------|\n`;
+    md += `| Aircraft Type | Count | Avg. Age |\n`;
+    md += `|---------------|-------|----------|\n`;
     
-    for (const [type, count] of breakdown) {
-      md += `| ${type} | ${count} |\n`;
+    for (const [type, { count, ages }] of breakdown) {
+      md += `| ${type} | ${count} | ${formatAge(ages, count)} |\n`;
     }
     
-    md += `| **Total** | **${wifi.total}** |\n\n`;
+    const allAges = breakdown.flatMap(([, { ages }]) => ages);
+    md += `| **Total** | **${wifi.total}** | **${formatAge(allAges, wifi.total)}** |\n\n`;
+    
+    const retired = data.aircraft.length - inService.length;
+    if (retired > 0) {
+      md += `*${retired} retired aircraft not counted*\n\n`;
+    }
   }
   
   return md;
@@ -110,17 +187,7 @@ function getDetailedBreakdown(aircraft) {
   const breakdown = {};
   
   for (const a of aircraft) {
-    const typeName = a.aircraft_type?.full_name || 'Unknown';
-    // Simplify type name
-    let simpleType = typeName
-      .replace('AIRBUS ', '')
-      .replace('BOEING ', '')
-      .replace(' (WINGLETS) PASSENGER/BBJ1', '')
-      .replace(' (WINGLETS) PASSENGER/BBJ2', '')
-      .replace(' (WINGLETS) PASSENGER/BBJ3', '')
-      .replace('/200 ER', '-200ER')
-      .replace('-200/200 ER', '-200ER')
-      .trim();
+    const simpleType = aircraftTypeName(a.aircraft_type);
     
     const config = a.cabin?.physical_configuration || '-';
     const wifi = a.connectivity?.wifi || 'none';
@@ -159,18 +226,18 @@ function generateDetailedFleetTable(airlines) {
   let md = '';
   
   for (const [code, data] of Object.entries(airlines)) {
-    const info = AIRLINE_INFO[code] || { name: code, flag: '✈️' };
-    const breakdown = getDetailedBreakdown(data.aircraft);
+    const info = getAirlineInfo(code);
+    const breakdown = getDetailedBreakdown(getInService(data.aircraft));
     
     md += `### ${info.flag} ${info.name} — Detailed Configuration\n\n`;
-    md += `| Aircraft | Config | Seats | Count | 🛜 Starlink |\n`;
-    md += `|----------|--------|-------|-------|-------------|\n`;
+    md += `| Aircraft | Config | Seats | Count | 🛜 High-Speed |\n`;
+    md += `|----------|--------|-------|-------|---------------|\n`;
     
     for (const item of breakdown) {
-      const starlinkInfo = item.highSpeed > 0 
+      const highSpeedInfo = item.highSpeed > 0 
         ? `${item.highSpeed}/${item.count} (${Math.round(item.highSpeed / item.count * 100)}%)`
         : '-';
-      md += `| ${item.type} | \`${item.config}\` | ${item.seats || '-'} | ${item.count} | ${starlinkInfo} |\n`;
+      md += `| ${item.type} | \`${item.config}\` | ${item.seats || '-'} | ${item.count} | ${highSpeedInfo} |\n`;
     }
     
     md += `\n`;
@@ -181,16 +248,16 @@ function generateDetailedFleetTable(airlines) {
 
 // Generate WiFi summary table
 function generateWifiSummary(airlines) {
-  let md = '| Airline | Total | 📶 WiFi | 🛜 High-Speed | % Starlink |\n';
-  md += '|---------|-------|---------|---------------|------------|\n';
+  let md = '| Airline | Total | 📶 WiFi | 🛜 High-Speed | % High-Speed |\n';
+  md += '|---------|-------|---------|---------------|--------------|\n';
   
   let grandTotal = 0;
   let grandWifi = 0;
   let grandHighSpeed = 0;
   
   for (const [code, data] of Object.entries(airlines)) {
-    const info = AIRLINE_INFO[code] || { name: code, flag: '✈️' };
-    const wifi = getWifiStats(data.aircraft);
+    const info = getAirlineInfo(code);
+    const wifi = getWifiStats(getInService(data.aircraft));
     
     const wifiTotal = wifi.lowSpeed + wifi.highSpeed;
     const wifiPercent = wifi.total ? Math.round(wifiTotal / wifi.total * 100) : 0;
@@ -224,16 +291,21 @@ Open source, community-maintained catalog of **Air France** and **KLM** fleets w
 
 ${generateWifiSummary(airlines)}
 
-> 🛜 **High-Speed** = Starlink satellite internet (50+ Mbps)  
+> 🛜 **High-Speed** = High-speed satellite internet (Starlink and other providers below)  
 > 📶 **WiFi** = Any WiFi connectivity (low-speed or high-speed)
 
 *Last updated: ${now}*
 
+### Connectivity by Provider
+
+${generateProviderTable(airlines)}
+> Providers are inferred from \`reference/wifi-providers.json\` by airline, sub-fleet, type and speed tier; fix one aircraft by hand with \`node scripts/wifi-providers.js --set <REG> <provider>\`
+
 ---
 
 ## 🛫 Fleet Breakdown
 
-${generateFleetTable(airlines)}
+${generateFleetTable(airlines, now)}
 
 ---
 
@@ -260,8 +332,91 @@ node fleet-update.js --airline KL
 # Preview changes without saving
 node fleet-update.js --airline KL --dry-run
 
+# Record API responses, then re-run from them offline
+node fleet-update.js --airline KL --record fixtures
+node fleet-update.js --airline KL --date 2026-03-22 --replay fixtures
+
+# Also keep aircraft owned by sub-carriers and wet-lease partners
+# (saved to airlines/<OWNER>.json), then see their share of the schedule
+node fleet-update.js --airline KL --include-partners
+npm run report:partners
+
 # Regenerate this README with latest stats
 node generate-readme.js
+
+# Validate catalogs against the schema
+npm run validate
+
+# Re-apply the WiFi provider rules of reference/wifi-providers.json after
+# editing them, or set one aircraft's provider by hand
+node scripts/wifi-providers.js
+node scripts/wifi-providers.js --set F-HTYA viasat
+
+# Fill in Mode-S addresses (icao24) from a registry CSV dump; F-G and F-H
+# addresses are derived from the registration
+node scripts/import-icao24.js --csv aircraftDatabase.csv
+
+# Fill MSN, delivery date, engine, name and livery from a PlaneSpotters-style
+# CSV or JSON export keyed by registration (ages in the fleet tables come from it)
+node scripts/import-planespotters.js af-fleet.csv
+
+# Update last_seen from local ADS-B receiver logs (readsb/dump1090 JSON,
+# SBS CSV) and list aircraft flying under another callsign or operator
+node scripts/import-adsb.js /var/log/readsb/
+\`\`\`
+
+### Querying the Catalog
+
+\`\`\`bash
+# 777-300ERs with Starlink
+node fleet-query.js --type 77W --provider starlink
+
+# KLM aircraft with a premium economy cabin, as a registration list
+node fleet-query.js --airline KL --seats "premium_economy>0" --format regs
+
+# One aircraft with its full history
+node fleet-query.js --show F-GSQA
+
+# The whole Air France fleet as it was on 1 February 2026
+node fleet-snapshot.js --airline AF --date 2026-02-01
+\`\`\`
+
+### Change Feed
+
+Every update appends its changes (new aircraft, WiFi, cabin and sub-fleet changes, retirements) to \`changes/YYYY-MM-DD.jsonl\`, one JSON event per line. Subscribe to \`changes/feed.atom\`, \`changes/feed.rss\` or a per-airline \`changes/<CODE>.atom\`:
+
+\`\`\`bash
+node generate-feed.js
+\`\`\`
+
+### Webhooks
+
+Copy \`webhooks.example.json\` to \`webhooks.json\` to have \`fleet-update.js\` POST matching changes (e.g. \`connectivity.wifi\` → \`high-speed\`, cabin refits on AF 777s) to your endpoints. Payloads are signed with HMAC-SHA256, failed deliveries are retried and then kept in \`webhooks-dead-letter.jsonl\`.
+
+\`\`\`bash
+# Local stand-in endpoint that prints and verifies deliveries
+FLEET_WEBHOOK_SECRET=dev node scripts/webhook-receiver.js --fail 1
+\`\`\`
+
+### Read-only API
+
+\`\`\`bash
+node fleet-server.js --port 3000
+
+curl localhost:3000/airlines
+curl 'localhost:3000/airlines/AF/aircraft?type=77W&provider=starlink'
+curl localhost:3000/aircraft/F-GSQA/history
+curl localhost:3000/stats
+\`\`\`
+
+### Embedding the Updater
+
+\`\`\`javascript
+import { configureApi, updateCatalog } from 'fleet-catalog';
+
+configureApi({ apiKeys: [process.env.AFKLM_API_KEY] });
+const result = await updateCatalog({ airline: 'KL', dates: ['2026-03-22'], dryRun: true });
+console.log(\`\${result.new.length} new, \${result.changes.length} changes\`);
 \`\`\`
 
 ### Using the Data
@@ -272,7 +427,7 @@ const response = await fetch('https://raw.githubusercontent.com/.../airlines/AF.
 const fleet = await response.json();
 
 // Find all Starlink aircraft
-const starlink = fleet.aircraft.filter(a => a.connectivity.wifi === 'high-speed');
+const starlink = fleet.aircraft.filter(a => a.connectivity.wifi_provider === 'starlink');
 console.log(\`\${starlink.length} aircraft with Starlink\`);
 
 // Get aircraft by type
@@ -288,9 +443,26 @@ af-klm/
 ├── airlines/
 │   ├── AF.json         # Air France fleet
 │   └── KL.json         # KLM fleet
+├── overrides/          # Manual and community corrections, kept by updates
 ├── schema/
-│   └── aircraft.schema.json
+│   ├── aircraft.schema.json
+│   └── reference.schema.json  # Shape of the reference/ tables
+├── reference/          # Airlines, aircraft types, WiFi providers, ICAO24 addresses
+├── lib/                # Updater library (index.js entry point)
+├── scripts/
+│   ├── validate.js     # Schema + semantic validator
+│   ├── migrate.js      # Rewrite catalogs in the current schema version
+│   ├── import-icao24.js   # Registry CSV → reference/icao24.json → icao24
+│   ├── import-adsb.js     # ADS-B receiver logs → tracking.last_seen
+│   ├── wifi-providers.js  # Re-infer or hand-set connectivity.wifi_provider
+│   ├── import-planespotters.js  # Metadata export → MSN, delivery date, engine, name, livery
+│   └── partner-report.js  # Schedule share flown by non-owned aircraft
 ├── fleet-update.js     # Update script
+├── fleet-query.js      # Search and filter CLI
+├── fleet-snapshot.js   # Point-in-time fleet rebuild
+├── changes/            # Change feed (JSON Lines, Atom, RSS)
+├── fleet-server.js     # Read-only HTTP API
+├── generate-feed.js    # Atom/RSS feed generator
 └── generate-readme.js  # This stats generator
 \`\`\`
 
@@ -312,13 +484,16 @@ af-klm/
   },
   "connectivity": {
     "wifi": "high-speed",
-    "wifi_provider": "Starlink",
+    "wifi_provider": "starlink",
+    "wifi_provider_source": "inferred",
     "satellite": true
   },
   "tracking": {
     "first_seen": "2025-01-15",
     "last_seen": "2026-02-04",
-    "total_flights": 1250
+    "last_seen_source": "airline_api",
+    "total_flights": 1250,
+    "days_seen": 384
   },
   "history": [
     {
@@ -346,15 +521,47 @@ Community members are encouraged to run the update script daily:
 4. Run \`node generate-readme.js\` to update stats
 5. Submit a PR
 
+Or let \`node cron-update.js --pr\` do it: it updates every airline, refuses to commit a run that drops the active fleet, loses aircraft, records an unusual number of changes or adds validation errors, and opens a PR from a dated branch with a summary of the changes.
+
+To keep it running without pm2, start \`node cron-update.js --daemon\`: it fetches every airline daily and publishes weekly (or follows \`schedule.json\`, see \`schedule.example.json\`), never runs two jobs at once, logs each run to \`cron-history.jsonl\` and answers \`GET http://127.0.0.1:8788/health\`.
+
+### Corrections
+
+The API does not report IFE, live TV or power outlets, and it is sometimes wrong. Put corrections in \`overrides/<CODE>.json\` rather than in the catalog: the updater applies them after every merge, records a history entry with their source, and lists the ones the API disagrees with instead of overwriting them.
+
+\`\`\`json
+{
+  "overrides": [{
+    "registration": "F-HTYA",
+    "set": { "connectivity.live_tv": true, "ife.type": "seatback" },
+    "source": "community",
+    "justification": "Seatback screens with live TV, seen on board 2026-03-01"
+  }]
+}
+\`\`\`
+
+\`source\` is \`manual\` or \`community\`; a \`justification\` is required.
+
+### Adding an Airline
+
+1. Add an entry to \`reference/airlines.json\` (IATA/ICAO codes, country, flag, registration prefix)
+2. Set its \`source\` to an existing data source (\`afklm\`), or register a new adapter in \`lib/sources/\`
+3. Run \`node fleet-update.js --airline <CODE> --bootstrap\`
+   - If the API keys run out, progress is kept in \`.checkpoints/<CODE>/\`; continue with \`--resume\`
+
 ### API Key
 
 Get a free API key at [developer.airfranceklm.com](https://developer.airfranceklm.com)
 
+Several keys can be given as \`AFKLM_API_KEYS=key1,key2\`. Each request goes to the key idle the longest; rate-limited keys cool down (honoring \`Retry-After\`) and per-key usage is kept in \`.api-key-state.json\` between runs. Set \`AFKLM_DAILY_QUOTA\` to your plan's daily calls per key, and check the "API Key Usage" summary of a run to see how many keys it needs.
+
 ---
 
 ## 📋 Schema Version
 
-Current: **1.0.0**
+Current: **${CURRENT_SCHEMA_VERSION}**
+
+Catalogs from an older schema are migrated when loaded (\`lib/migrations/\`); \`npm run migrate\` rewrites the files. Catalogs from a newer schema are refused.
 
 ---
 
@@ -376,9 +583,15 @@ function main() {
   
   // Show summary
   for (const [code, data] of Object.entries(airlines)) {
-    const info = AIRLINE_INFO[code] || { name: code };
-    const wifi = getWifiStats(data.aircraft);
-    console.log(`${info.name}: ${wifi.total} aircraft, ${wifi.highSpeed} Starlink (${wifi.highSpeedPercent}%)`);
+    const info = getAirlineInfo(code);
+    const wifi = getWifiStats(getInService(data.aircraft));
+    console.log(`${info.name}: ${wifi.total} aircraft, ${wifi.highSpeed} high-speed (${wifi.highSpeedPercent}%)`);
+  }
+  
+  const unknownTypes = findUnknownTypes(airlines);
+  if (unknownTypes.size > 0) {
+    console.log(`\n⚠️  Type codes missing from reference/aircraft-types.json (shown by source name):`);
+    for (const [code, count] of unknownTypes) console.log(`   ${code}: ${count} aircraft`);
   }
   
   // Generate and save README
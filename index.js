@@ -0,0 +1,124 @@
+/**
+ * Fleet Catalog library
+ *
+ * Programmatic entry point for embedding the catalog updater. The CLI in
+ * fleet-update.js is a thin wrapper around updateCatalog().
+ *
+ * Example:
+ *   import { configureApi, updateCatalog } from 'fleet-catalog';
+ *
+ *   configureApi({ apiKeys: [process.env.AFKLM_API_KEY] });
+ *   const result = await updateCatalog({ airline: 'KL', dates: ['2026-03-22'], dryRun: true });
+ *   console.log(result.new.length, result.changes);
+ */
+
+export { AIRLINES, getAirline, listAirlineCodes } from './lib/airlines.js';
+export {
+  AIRCRAFT_TYPES,
+  getAircraftType,
+  resolveAircraftType,
+  aircraftTypeName,
+} from './lib/aircraft-types.js';
+export {
+  WIFI_PROVIDERS,
+  WIFI_PROVIDER_RULES,
+  getWifiProvider,
+  normalizeWifiProvider,
+  wifiProviderName,
+  inferWifiProvider,
+  wifiProviderFacts,
+} from './lib/wifi-providers.js';
+export { registerSource, getSource, getSourceForAirline } from './lib/sources/index.js';
+export { configureApi, getApiStats, fetchFlightsForDate, RateLimitError } from './lib/api.js';
+export { createKeyPool } from './lib/key-pool.js';
+export {
+  DEFAULT_CHECKPOINT_DIR,
+  checkpointDirFor,
+  checkpointPagesDir,
+  loadCheckpoint,
+  clearCheckpoint,
+} from './lib/checkpoint.js';
+export { parseCabinConfig, sameCabinConfig } from './lib/cabin.js';
+export {
+  MIGRATIONS,
+  CURRENT_SCHEMA_VERSION,
+  compareVersions,
+  migrateCatalog,
+  parseCatalog,
+} from './lib/migrations/index.js';
+export {
+  DEFAULT_OVERRIDES_DIR,
+  OVERRIDE_SOURCES,
+  loadOverrides,
+  indexOverrides,
+  findOverrideConflicts,
+  applyOverrides,
+} from './lib/overrides.js';
+export {
+  DEFAULT_ICAO24_PATH,
+  deriveIcao24,
+  nationalBlock,
+  loadIcao24Reference,
+  lookupIcao24,
+  checkIcao24,
+  parseRegistryCsv,
+} from './lib/icao24.js';
+export {
+  parseAdsbLog,
+  callsignDesignator,
+  correlateSightings,
+  applySightings,
+} from './lib/adsb.js';
+export {
+  loadAllCatalogs,
+  findAircraft,
+  filterAircraft,
+  parseSeatCondition,
+  parseDateRange,
+  FORMATTERS,
+} from './lib/query.js';
+export { formatDate, getDateRange } from './lib/dates.js';
+export {
+  DEFAULT_FEED_DIR,
+  describeEvent,
+  buildFeedEvents,
+  appendChangeFeed,
+  readChangeFeed,
+  renderAtom,
+  renderRss,
+} from './lib/feed.js';
+export {
+  loadWebhookConfig,
+  matchesRule,
+  signPayload,
+  deliverWebhook,
+  dispatchWebhooks,
+} from './lib/webhooks.js';
+export {
+  METADATA_COLUMNS,
+  normalizeDate,
+  parseMetadataExport,
+  applyMetadata,
+  aircraftAge,
+} from './lib/planespotters.js';
+export { reconstructAircraft, reconstructCatalog } from './lib/snapshot.js';
+export { createCatalogServer } from './lib/server.js';
+export {
+  extractAircraftFromFlight,
+  findLegConflicts,
+  convertWifi,
+  transformToSchema,
+} from './lib/transform.js';
+export {
+  DEFAULT_CATALOG_DIR,
+  normalizeRegistration,
+  loadCatalog,
+  saveCatalog,
+} from './lib/catalog-io.js';
+export {
+  detectChanges,
+  detectStatusTransitions,
+  mergeAircraft,
+  createCatalog,
+  updateCatalog,
+} from './lib/update.js';
@@ -0,0 +1,227 @@
+/**
+ * ADS-B correlation
+ *
+ * Reads receiver logs (readsb/dump1090 aircraft.json snapshots, JSON Lines
+ * of them, or SBS/BaseStation CSV as written from a Beast feed) and matches
+ * the transponder addresses to catalog aircraft by icao24. Sightings move
+ * tracking.last_seen forward independently of the airline API, and bring
+ * stored or retired aircraft back when they fly for their airline again.
+ *
+ * Aircraft flying under another airline's designator, or under a callsign
+ * that is not an airline flight number at all (ferry, test and delivery
+ * flights use the registration), are reported as anomalies.
+ */
+
+import zlib from 'zlib';
+import { AIRLINES } from './airlines.js';
+import { findColumn, parseCsv } from './csv.js';
+import { normalizeIcao24 } from './icao24.js';
+
+const HEX_COLUMNS = ['hex', 'icao24', 'icao', 'mode_s', 'modes'];
+const CALLSIGN_COLUMNS = ['callsign', 'flight', 'call_sign', 'ident'];
+const TIME_COLUMNS = ['time', 'timestamp', 'seen_at', 'ts', 'datetime'];
+
+// Record types of the SBS/BaseStation format (port 30003)
+const SBS_TYPES = new Set(['MSG', 'SEL', 'ID', 'AIR', 'STA', 'CLK']);
+
+function toIsoTime(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const number = Number(value);
+  // Unix seconds (readsb) or milliseconds
+  const date = Number.isFinite(number)
+    ? new Date(number > 1e12 ? number : number * 1000)
+    : new Date(String(value).replace(/\//g, '-'));
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+function sighting(hex, callsign, time) {
+  // "~" marks non-ICAO (TIS-B) addresses in readsb output
+  const icao24 = String(hex ?? '').startsWith('~') ? null : normalizeIcao24(hex);
+  const iso = toIsoTime(time);
+  if (!icao24 || !iso) return null;
+  return { icao24, callsign: String(callsign ?? '').trim().toUpperCase() || null, time: iso };
+}
+
+function sightingsFromJson(record) {
+  // aircraft.json / history_N.json snapshot
+  if (Array.isArray(record.aircraft)) {
+    return record.aircraft.map(a => sighting(a.hex, a.flight, record.now - (a.seen ?? 0)));
+  }
+  // One aircraft per record
+  return [sighting(record.hex ?? record.icao24, record.flight ?? record.callsign, record.now ?? record.timestamp ?? record.time)];
+}
+
+function sightingsFromSbs(rows) {
+  // MSG,type,session,aircraft,hex,flight,date,time,date logged,time logged,callsign,...
+  return rows
+    .filter(fields => fields[0] === 'MSG')
+    // Receivers are expected to log in UTC
+    .map(fields => sighting(fields[4], fields[10], `${fields[6]}T${fields[7]}Z`));
+}
+
+function sightingsFromCsv(rows) {
+  const [header, ...records] = rows;
+  const hexIndex = findColumn(header, HEX_COLUMNS);
+  const callsignIndex = findColumn(header, CALLSIGN_COLUMNS);
+  const timeIndex = findColumn(header, TIME_COLUMNS);
+  if (hexIndex < 0 || timeIndex < 0) {
+    throw new Error(`ADS-B CSV needs an address column (${HEX_COLUMNS.join(', ')}) and a time column (${TIME_COLUMNS.join(', ')})`);
+  }
+  return records.map(fields => sighting(fields[hexIndex], callsignIndex >= 0 ? fields[callsignIndex] : null, fields[timeIndex]));
+}
+
+/**
+ * Parse one receiver log file.
+ *
+ * @param {Buffer|string} content - File contents (gzip is detected)
+ * @param {string} [name] - File name, used to tell CSV from JSON
+ * @returns {object[]} Sightings: { icao24, callsign, time }
+ */
+export function parseAdsbLog(content, name = '') {
+  const buffer = Buffer.isBuffer(content) ? content : Buffer.from(content);
+  const text = (buffer[0] === 0x1f && buffer[1] === 0x8b ? zlib.gunzipSync(buffer) : buffer).toString('utf-8');
+  const trimmed = text.trim();
+  if (!trimmed) return [];
+
+  let sightings;
+  if (/\.csv(\.gz)?$/i.test(name) || !/^[[{]/.test(trimmed)) {
+    const rows = parseCsv(trimmed);
+    sightings = SBS_TYPES.has(rows[0][0]) ? sightingsFromSbs(rows) : sightingsFromCsv(rows);
+  } else {
+    let records;
+    try {
+      const parsed = JSON.parse(trimmed);
+      records = Array.isArray(parsed) ? parsed : [parsed];
+    } catch {
+      // JSON Lines
+      records = trimmed.split('\n').filter(line => line.trim()).map(line => JSON.parse(line));
+    }
+    sightings = records.flatMap(sightingsFromJson);
+  }
+
+  return sightings.filter(Boolean);
+}
+
+/**
+ * ICAO designator a callsign flies under ("KLM1234" → "KLM").
+ *
+ * @param {string|null} callsign
+ * @returns {string|null} null for registrations and other non-flight-number callsigns
+ */
+export function callsignDesignator(callsign) {
+  return callsign?.match(/^([A-Z]{3})\d/)?.[1] || null;
+}
+
+function airlineByDesignator(designator) {
+  return Object.values(AIRLINES).find(a => a.icaoCode === designator)?.code || null;
+}
+
+/**
+ * Group sightings by catalog aircraft.
+ *
+ * @param {object[]} sightings - From parseAdsbLog()
+ * @param {object} catalogs - { CODE: catalog }
+ * @returns {{ matched: object[], unmatched: number }} matched: one
+ *   { airline, aircraft, first_time, last_time, callsigns: { CALLSIGN: count } } per aircraft;
+ *   unmatched: addresses not in any catalog
+ */
+export function correlateSightings(sightings, catalogs) {
+  const byIcao24 = new Map();
+  for (const [code, catalog] of Object.entries(catalogs)) {
+    for (const aircraft of catalog.aircraft) {
+      if (aircraft.icao24) byIcao24.set(aircraft.icao24.toLowerCase(), { airline: code, aircraft });
+    }
+  }
+
+  const matched = new Map();
+  const unmatched = new Set();
+  for (const s of sightings) {
+    const target = byIcao24.get(s.icao24);
+    if (!target) {
+      unmatched.add(s.icao24);
+      continue;
+    }
+    if (!matched.has(s.icao24)) {
+      matched.set(s.icao24, { ...target, first_time: s.time, last_time: s.time, callsigns: {} });
+    }
+    const entry = matched.get(s.icao24);
+    if (s.time < entry.first_time) entry.first_time = s.time;
+    if (s.time > entry.last_time) entry.last_time = s.time;
+    if (s.callsign) entry.callsigns[s.callsign] = (entry.callsigns[s.callsign] || 0) + 1;
+  }
+
+  return { matched: [...matched.values()], unmatched: unmatched.size };
+}
+
+// Designators an aircraft is expected to fly under: its catalog airline's,
+// and the airline operating it for the owner (wet lease, sub-carrier)
+function expectedDesignators(airline, aircraft) {
+  return new Set([airline, aircraft.operator?.operating_airline]
+    .map(code => AIRLINES[code]?.icaoCode)
+    .filter(Boolean));
+}
+
+/**
+ * Apply one aircraft's sightings to its catalog record.
+ *
+ * @param {object} match - Entry of correlateSightings().matched (aircraft is mutated unless dryRun)
+ * @param {object} [options]
+ * @param {boolean} [options.dryRun]
+ * @returns {object} { registration, airline, icao24, last_seen, previous_last_seen,
+ *   advanced, reactivated (history entry or null), anomalies: [{ kind, callsign, designator, operator }] }
+ */
+export function applySightings(match, { dryRun = false } = {}) {
+  const { airline, aircraft } = match;
+  const date = match.last_time.slice(0, 10);
+  const expected = expectedDesignators(airline, aircraft);
+
+  const anomalies = [];
+  for (const callsign of Object.keys(match.callsigns)) {
+    const designator = callsignDesignator(callsign);
+    if (designator && expected.has(designator)) continue;
+    if (expected.size === 0 && designator) continue;
+    anomalies.push({
+      kind: designator ? 'operator' : 'callsign',
+      callsign,
+      designator,
+      operator: designator ? airlineByDesignator(designator) : null,
+    });
+  }
+
+  const tracking = aircraft.tracking || {};
+  const previousLastSeen = tracking.last_seen || null;
+  const advanced = !previousLastSeen || date > previousLastSeen;
+
+  // Only flights for its own airline bring an aircraft back; flying for
+  // someone else after being retired more likely means it was sold
+  let reactivated = null;
+  const flewForAirline = Object.keys(match.callsigns).some(c => expected.has(callsignDesignator(c)));
+  if ((aircraft.status === 'stored' || aircraft.status === 'retired') && advanced && flewForAirline) {
+    reactivated = { timestamp: date, property: 'status', old_value: aircraft.status, new_value: 'active', source: 'adsb' };
+  }
+
+  if (!dryRun) {
+    aircraft.tracking = tracking;
+    if (advanced) {
+      tracking.last_seen = date;
+      tracking.last_seen_source = 'adsb';
+    }
+    if (!tracking.adsb_last_seen || date > tracking.adsb_last_seen) tracking.adsb_last_seen = date;
+    if (reactivated) {
+      aircraft.status = 'active';
+      aircraft.history = [...(aircraft.history || []), reactivated];
+      aircraft.metadata.updated_at = new Date().toISOString();
+    }
+  }
+
+  return {
+    registration: aircraft.registration,
+    airline,
+    icao24: aircraft.icao24,
+    last_seen: date,
+    previous_last_seen: previousLastSeen,
+    advanced,
+    reactivated,
+    anomalies,
+  };
+}
@@ -0,0 +1,61 @@
+/**
+ * Aircraft type registry
+ *
+ * Loaded from reference/aircraft-types.json so the updater and the README
+ * generator describe a type code the same way.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const AIRCRAFT_TYPES_REFERENCE_PATH = path.join(__dirname, '..', 'reference', 'aircraft-types.json');
+
+function loadTypeRegistry(registryPath = AIRCRAFT_TYPES_REFERENCE_PATH) {
+  const { types = [] } = JSON.parse(fs.readFileSync(registryPath, 'utf-8'));
+  return Object.fromEntries(types.map(type => [type.iata_code.toUpperCase(), type]));
+}
+
+// Type entries keyed by IATA type code
+export const AIRCRAFT_TYPES = loadTypeRegistry();
+
+/**
+ * @param {string|null} iataCode - e.g. "77W"
+ * @returns {object|null} { iata_code, icao_code, manufacturer, family, model, variant, name }
+ */
+export function getAircraftType(iataCode) {
+  return (iataCode && AIRCRAFT_TYPES[String(iataCode).toUpperCase()]) || null;
+}
+
+/**
+ * Schema aircraft_type for a type code. Unknown codes keep the source's
+ * type name and leave the rest null.
+ *
+ * @param {string|null} iataCode
+ * @param {string|null} typeName - Type name as given by the source, kept in full_name
+ * @returns {object} { iata_code, icao_code, manufacturer, family, model, variant, full_name }
+ */
+export function resolveAircraftType(iataCode, typeName) {
+  const type = getAircraftType(iataCode);
+  return {
+    iata_code: iataCode,
+    icao_code: type?.icao_code ?? null,
+    manufacturer: type?.manufacturer ?? null,
+    family: type?.family ?? null,
+    model: type?.model ?? null,
+    variant: type?.variant ?? null,
+    full_name: typeName,
+  };
+}
+
+/**
+ * Display name of a catalog aircraft's type ("Boeing 777-300ER").
+ *
+ * @param {object} aircraftType - aircraft_type of a catalog aircraft
+ * @returns {string} The table's name, else the source's type name, else "Unknown"
+ */
+export function aircraftTypeName(aircraftType) {
+  return getAircraftType(aircraftType?.iata_code)?.name || aircraftType?.full_name || 'Unknown';
+}
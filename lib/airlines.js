@@ -0,0 +1,53 @@
+/**
+ * Airline registry
+ *
+ * Loaded from reference/airlines.json so the updater, README generator and
+ * cron job all share one list of airlines.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const AIRLINES_REFERENCE_PATH = path.join(__dirname, '..', 'reference', 'airlines.json');
+
+function loadAirlineRegistry(registryPath = AIRLINES_REFERENCE_PATH) {
+  const { airlines = [] } = JSON.parse(fs.readFileSync(registryPath, 'utf-8'));
+  const registry = {};
+  
+  for (const entry of airlines) {
+    registry[entry.iata_code] = {
+      code: entry.iata_code,
+      icaoCode: entry.icao_code || null,
+      name: entry.name,
+      displayName: entry.display_name || entry.name,
+      country: entry.country || null,
+      countryName: entry.country_name || null,
+      flag: entry.flag || '✈️',
+      registrationPrefix: entry.registration_prefix || null,
+      source: entry.source,
+    };
+  }
+  
+  return registry;
+}
+
+// Airline metadata keyed by IATA code
+export const AIRLINES = loadAirlineRegistry();
+
+/**
+ * @param {string} code - IATA code, case-insensitive
+ * @returns {object|null} Registry entry
+ */
+export function getAirline(code) {
+  return AIRLINES[String(code).toUpperCase()] || null;
+}
+
+/**
+ * @returns {string[]} IATA codes of every registered airline
+ */
+export function listAirlineCodes() {
+  return Object.keys(AIRLINES);
+}
@@ -0,0 +1,268 @@
+/**
+ * Air France / KLM Open Data API client
+ *
+ * Paginated /flightstatus access through a key pool (per-key quota, cooldown
+ * and throttling, backoff on errors), plus
+ * recording and replay of raw responses for offline runs, and a page cache
+ * so interrupted crawls can resume without refetching.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { backoffDelay, createKeyPool, parseRetryAfter } from './key-pool.js';
+
+// Configuration (set through configureApi)
+const CONFIG = {
+  apiKeys: [],
+  baseUrl: 'https://api.airfranceklm.com/opendata',
+  pageSize: 100,
+  requestDelay: 5000,
+  keyRequestDelay: 5000,
+  maxRetries: 4,
+  retryBaseDelay: 1000,
+  retryMaxDelay: 30000,
+  maxCooldownWait: 60000,
+  keyStatePath: null,
+  dailyQuota: null,
+  recordDir: null,
+  replayDir: null,
+  cacheDir: null,
+};
+
+// Track API usage
+let keyPool = null;
+let totalRequests = 0;
+let lastRequestMs = 0;
+
+/**
+ * Set API options. Only the given keys are changed.
+ *
+ * @param {object} options
+ * @param {string[]} [options.apiKeys] - Key pool; each request uses the available key idle the longest
+ * @param {string} [options.baseUrl]
+ * @param {number} [options.pageSize]
+ * @param {number} [options.requestDelay] - Minimum milliseconds between any two requests, whatever the key
+ * @param {number} [options.keyRequestDelay] - Minimum milliseconds between requests on the same key
+ * @param {number} [options.maxRetries] - Retries of a request after 5xx or network errors
+ * @param {number} [options.retryBaseDelay] - First backoff delay (ms), doubled on each retry, with jitter
+ * @param {number} [options.retryMaxDelay] - Backoff ceiling (ms)
+ * @param {number} [options.maxCooldownWait] - Wait at most this long (ms) for a key to come off
+ *   cooldown before giving up with a RateLimitError
+ * @param {string|null} [options.keyStatePath] - Persist per-key quota state in this JSON file
+ * @param {number|null} [options.dailyQuota] - Calls allowed per key per UTC day
+ * @param {string|null} [options.recordDir] - Save every response page under this directory
+ * @param {string|null} [options.replayDir] - Read response pages from this directory instead of the API
+ * @param {string|null} [options.cacheDir] - Serve pages from this directory when present, save fetched
+ *   pages to it otherwise (used by checkpointed crawls)
+ */
+export function configureApi(options = {}) {
+  Object.assign(CONFIG, options);
+  if (['apiKeys', 'keyStatePath', 'dailyQuota'].some(key => key in options)) {
+    keyPool = null;
+  }
+}
+
+/**
+ * Every API key was rate limited (403/429). Carries the flights fetched for
+ * the date before pagination stopped.
+ */
+export class RateLimitError extends Error {
+  constructor(status, { dateStr = null, pageNumber = null, flights = [] } = {}) {
+    super(`API Error: ${status} (rate limited on every API key)`);
+    this.name = 'RateLimitError';
+    this.status = status;
+    this.dateStr = dateStr;
+    this.pageNumber = pageNumber;
+    this.flights = flights;
+  }
+}
+
+/**
+ * @returns {{ totalRequests: number, keys: object[] }} Request count since the
+ *   process started, and per-key usage (see createKeyPool().stats())
+ */
+export function getApiStats() {
+  return { totalRequests, keys: keyPool ? keyPool.stats() : [] };
+}
+
+function sleep(ms) {
+  return new Promise(r => setTimeout(r, ms));
+}
+
+function getKeyPool() {
+  if (!keyPool) {
+    keyPool = createKeyPool(CONFIG.apiKeys, { statePath: CONFIG.keyStatePath, dailyQuota: CONFIG.dailyQuota });
+  }
+  return keyPool;
+}
+
+// Next usable key, waiting out the throttle delays or a short cooldown. More
+// keys spread the quota, they do not make the process request faster.
+async function acquireKey(lastStatus) {
+  const pool = getKeyPool();
+  for (;;) {
+    const { entry, availableAt } = pool.acquire();
+    if (entry) {
+      const readyAt = Math.max(entry.last_request_ms + CONFIG.keyRequestDelay, lastRequestMs + CONFIG.requestDelay);
+      const wait = readyAt - Date.now();
+      if (wait > 0) await sleep(wait);
+      lastRequestMs = Date.now();
+      return entry;
+    }
+    if (availableAt - Date.now() > CONFIG.maxCooldownWait) {
+      throw new RateLimitError(lastStatus || 429);
+    }
+    await sleep(availableAt - Date.now());
+  }
+}
+
+async function apiRequest(endpoint, params = {}) {
+  const url = new URL(`${CONFIG.baseUrl}${endpoint}`);
+  Object.entries(params).forEach(([key, value]) => {
+    if (value !== undefined && value !== null) {
+      url.searchParams.append(key, value);
+    }
+  });
+
+  const pool = getKeyPool();
+  let retries = 0;
+  let rateLimits = 0;
+  let lastStatus = null;
+
+  for (;;) {
+    const entry = await acquireKey(lastStatus);
+    pool.markUsed(entry);
+    totalRequests++;
+
+    let response;
+    try {
+      response = await fetch(url.toString(), {
+        method: 'GET',
+        headers: {
+          'API-Key': entry.key,
+          'Accept': 'application/hal+json',
+          'Accept-Language': 'en-GB',
+        },
+      });
+    } catch (error) {
+      pool.markError(entry, 'network');
+      pool.save();
+      if (retries >= CONFIG.maxRetries) throw new Error(`API request failed: ${error.message}`);
+      await sleep(backoffDelay(retries++, CONFIG.retryBaseDelay, CONFIG.retryMaxDelay));
+      continue;
+    }
+
+    lastStatus = response.status;
+
+    if (response.ok) {
+      pool.markSuccess(entry, response.status);
+      pool.save();
+      return response.json();
+    }
+
+    // Rate limited: cool this key down and move on to the next one
+    if (response.status === 429 || response.status === 403) {
+      pool.markRateLimited(entry, response.status, parseRetryAfter(response.headers.get('retry-after')));
+      pool.save();
+      if (++rateLimits > pool.size + CONFIG.maxRetries) throw new RateLimitError(response.status);
+      continue;
+    }
+
+    pool.markError(entry, response.status);
+    pool.save();
+    if (response.status >= 500 && retries < CONFIG.maxRetries) {
+      await sleep(backoffDelay(retries++, CONFIG.retryBaseDelay, CONFIG.retryMaxDelay));
+      continue;
+    }
+    throw new Error(`API Error: ${response.status} ${response.statusText}`);
+  }
+}
+
+// Recorded responses live at <dir>/<AIRLINE>/<YYYY-MM-DD>/page-NNN.json
+function recordedPagePath(dir, airlineCode, dateStr, pageNumber) {
+  return path.join(dir, airlineCode, dateStr, `page-${String(pageNumber).padStart(3, '0')}.json`);
+}
+
+async function fetchFlightPage(dateStr, airlineCode, pageNumber) {
+  if (CONFIG.replayDir) {
+    const pagePath = recordedPagePath(CONFIG.replayDir, airlineCode, dateStr, pageNumber);
+    if (!fs.existsSync(pagePath)) {
+      throw new Error(`No recorded response for ${airlineCode} ${dateStr} page ${pageNumber} (${pagePath})`);
+    }
+    return JSON.parse(fs.readFileSync(pagePath, 'utf-8'));
+  }
+
+  const cachedPath = CONFIG.cacheDir && recordedPagePath(CONFIG.cacheDir, airlineCode, dateStr, pageNumber);
+  if (cachedPath && fs.existsSync(cachedPath)) {
+    return JSON.parse(fs.readFileSync(cachedPath, 'utf-8'));
+  }
+
+  const response = await apiRequest('/flightstatus', {
+    startRange: `${dateStr}T00:00:00Z`,
+    endRange: `${dateStr}T23:59:59Z`,
+    movementType: 'D',
+    timeOriginType: 'S',
+    timeType: 'U',
+    pageSize: CONFIG.pageSize,
+    pageNumber,
+    operatingAirlineCode: airlineCode,
+  });
+
+  if (CONFIG.recordDir) {
+    const pagePath = recordedPagePath(CONFIG.recordDir, airlineCode, dateStr, pageNumber);
+    fs.mkdirSync(path.dirname(pagePath), { recursive: true });
+    fs.writeFileSync(pagePath, JSON.stringify(response, null, 2));
+  }
+
+  if (cachedPath) {
+    fs.mkdirSync(path.dirname(cachedPath), { recursive: true });
+    fs.writeFileSync(cachedPath, JSON.stringify(response));
+  }
+
+  return response;
+}
+
+/**
+ * Fetch every operational flight departing on a date.
+ *
+ * @param {string} dateStr - YYYY-MM-DD (UTC)
+ * @param {string} airlineCode - Operating airline IATA code
+ * @param {object} [callbacks]
+ * @param {function} [callbacks.onPage] - Called with { dateStr, pageNumber, totalPages, flightCount } after each page
+ * @param {function} [callbacks.onRateLimit] - Called with { dateStr, pageNumber } when pagination stops on a rate limit
+ * @returns {Promise<object[]>} Raw `operationalFlights` entries
+ * @throws {RateLimitError} When every API key is rate limited before the last page;
+ *   the error carries the flights fetched so far
+ */
+export async function fetchFlightsForDate(dateStr, airlineCode, { onPage, onRateLimit } = {}) {
+  const allFlights = [];
+  let pageNumber = 0;
+  let hasMore = true;
+
+  while (hasMore) {
+    try {
+      const response = await fetchFlightPage(dateStr, airlineCode, pageNumber);
+
+      const flights = response.operationalFlights || [];
+      allFlights.push(...flights);
+
+      const page = response.page || {};
+      const totalPages = page.totalPages || 1;
+      
+      onPage?.({ dateStr, pageNumber, totalPages, flightCount: allFlights.length });
+
+      hasMore = pageNumber < (totalPages - 1);
+      pageNumber++;
+
+      if (pageNumber > 100) break;
+    } catch (error) {
+      if (error instanceof RateLimitError) {
+        onRateLimit?.({ dateStr, pageNumber });
+        throw new RateLimitError(error.status, { dateStr, pageNumber, flights: allFlights });
+      }
+      throw error;
+    }
+  }
+
+  return allFlights;
+}
@@ -0,0 +1,46 @@
+/**
+ * Cabin configuration helpers
+ *
+ * Shared by the updater and the maintenance scripts so every tool reads
+ * seat configuration strings (e.g. "J034W024Y266") the same way.
+ */
+
+const EMPTY_CLASSES = { first: 0, business: 0, premium_economy: 0, economy: 0 };
+
+export function parseCabinConfig(config) {
+  if (!config) return { ...EMPTY_CLASSES };
+  
+  // P/F = First, J/C = Business, W/S = Premium Economy, Y/M = Economy
+  const mapping = { 
+    P: 'first', F: 'first', 
+    J: 'business', C: 'business', 
+    W: 'premium_economy', S: 'premium_economy',
+    Y: 'economy', M: 'economy'
+  };
+  const classes = { ...EMPTY_CLASSES };
+  
+  const regex = /([PFJCWSYM])(\d{2,3})/g;
+  let match;
+  while ((match = regex.exec(config)) !== null) {
+    const classKey = mapping[match[1]];
+    if (classKey) classes[classKey] += parseInt(match[2], 10);
+  }
+  
+  return classes;
+}
+
+/**
+ * Compare two configuration strings by their per-class seat counts, so the
+ * API's inconsistent zero-padding ("C018M246" vs "C18M246") is not a change.
+ * Strings without any readable class are compared as they are.
+ */
+export function sameCabinConfig(a, b) {
+  if (a === b) return true;
+  if (!a || !b) return false;
+
+  const classesA = parseCabinConfig(a);
+  const classesB = parseCabinConfig(b);
+  const seats = classes => Object.values(classes).reduce((sum, n) => sum + n, 0);
+  if (seats(classesA) === 0 && seats(classesB) === 0) return false;
+  return Object.keys(EMPTY_CLASSES).every(key => classesA[key] === classesB[key]);
+}
@@ -0,0 +1,54 @@
+/**
+ * Catalog files
+ *
+ * Where catalogs live and how they are read and written. Kept free of
+ * other lib/ imports (bar the migrations) so every module can use it
+ * without import cycles.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { parseCatalog } from './migrations/index.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const DEFAULT_CATALOG_DIR = path.join(__dirname, '..', 'airlines');
+
+// Registrations are stored without dashes ("FGSQA"), users often type "F-GSQA"
+export function normalizeRegistration(registration) {
+  return String(registration).replace(/[-\s]/g, '').toUpperCase();
+}
+
+/**
+ * Read a catalog file, migrated to the current schema (see
+ * lib/migrations/), or return null when it does not exist.
+ *
+ * @param {string} catalogPath
+ * @returns {object|null}
+ * @throws {Error} When the file is from a newer schema
+ */
+export function loadCatalog(catalogPath) {
+  if (!fs.existsSync(catalogPath)) return null;
+  return parseCatalog(fs.readFileSync(catalogPath, 'utf-8'), catalogPath);
+}
+
+/**
+ * Sort aircraft, refresh the catalog header fields and write the file.
+ *
+ * @param {string} catalogPath
+ * @param {object} catalog
+ */
+export function saveCatalog(catalogPath, catalog) {
+  catalog.generated_at = new Date().toISOString();
+  catalog.aircraft_count = catalog.aircraft.length;
+
+  catalog.aircraft.sort((a, b) => {
+    const typeCompare = (a.aircraft_type?.iata_code || '').localeCompare(b.aircraft_type?.iata_code || '');
+    if (typeCompare !== 0) return typeCompare;
+    return a.registration.localeCompare(b.registration);
+  });
+
+  fs.mkdirSync(path.dirname(catalogPath), { recursive: true });
+  fs.writeFileSync(catalogPath, JSON.stringify(catalog, null, 2));
+}
@@ -0,0 +1,117 @@
+/**
+ * Crawl checkpoints
+ *
+ * A checkpoint directory holds the state of an unfinished multi-day crawl so
+ * it can be resumed after the API keys run out:
+ *
+ *   <dir>/checkpoint.json        Dates, options, completed dates, page progress
+ *   <dir>/catalogs/<CODE>.json   Catalogs built so far (not yet saved in place)
+ *   <dir>/pages/...              Fetched response pages (api.js cacheDir layout)
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { parseCatalog } from './migrations/index.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const DEFAULT_CHECKPOINT_DIR = path.join(__dirname, '..', '.checkpoints');
+
+/**
+ * @param {string} airlineCode
+ * @param {string} [baseDir] - Defaults to .checkpoints/
+ * @returns {string} Checkpoint directory for an airline's crawl
+ */
+export function checkpointDirFor(airlineCode, baseDir = DEFAULT_CHECKPOINT_DIR) {
+  return path.join(baseDir, airlineCode);
+}
+
+/**
+ * @param {string} dir - Checkpoint directory
+ * @returns {string} Directory to pass to configureApi({ cacheDir })
+ */
+export function checkpointPagesDir(dir) {
+  return path.join(dir, 'pages');
+}
+
+/**
+ * Initial state for a new crawl.
+ *
+ * @param {object} options
+ * @param {string} options.airline
+ * @param {string[]} options.dates
+ * @param {boolean} [options.bootstrap]
+ * @param {boolean} [options.includePartners]
+ * @returns {object}
+ */
+export function createCheckpointState({ airline, dates, bootstrap = false, includePartners = false }) {
+  const now = new Date().toISOString();
+  return {
+    airline,
+    dates,
+    bootstrap,
+    include_partners: includePartners,
+    completed_dates: [],
+    pages: {},
+    catalog_paths: {},
+    stopped: null,
+    created_at: now,
+    updated_at: now,
+  };
+}
+
+/**
+ * @param {string} dir - Checkpoint directory
+ * @returns {{ state: object, catalogs: Object<string, object> }|null} null when there is no checkpoint
+ */
+export function loadCheckpoint(dir) {
+  const statePath = path.join(dir, 'checkpoint.json');
+  if (!fs.existsSync(statePath)) return null;
+
+  const state = JSON.parse(fs.readFileSync(statePath, 'utf-8'));
+  const catalogs = {};
+  for (const code of Object.keys(state.catalog_paths)) {
+    const catalogPath = path.join(dir, 'catalogs', `${code}.json`);
+    if (fs.existsSync(catalogPath)) {
+      // Written before an upgrade when the run was interrupted
+      catalogs[code] = parseCatalog(fs.readFileSync(catalogPath, 'utf-8'), catalogPath);
+    }
+  }
+  return { state, catalogs };
+}
+
+/**
+ * Write the checkpoint state, and the in-progress catalogs when given.
+ * Page progress is saved after every page, catalogs after every completed date.
+ *
+ * @param {string} dir - Checkpoint directory
+ * @param {object} state
+ * @param {Object<string, object>} [catalogs] - Catalogs keyed by airline code
+ */
+export function saveCheckpoint(dir, state, catalogs) {
+  fs.mkdirSync(dir, { recursive: true });
+  state.updated_at = new Date().toISOString();
+
+  if (catalogs) {
+    fs.mkdirSync(path.join(dir, 'catalogs'), { recursive: true });
+    for (const [code, catalog] of Object.entries(catalogs)) {
+      fs.writeFileSync(path.join(dir, 'catalogs', `${code}.json`), JSON.stringify(catalog));
+    }
+  }
+
+  // State goes last: if the process dies in between, resuming re-runs a date
+  // the saved catalogs already list in processed_dates, which is harmless
+  const statePath = path.join(dir, 'checkpoint.json');
+  fs.writeFileSync(`${statePath}.tmp`, JSON.stringify(state, null, 2));
+  fs.renameSync(`${statePath}.tmp`, statePath);
+}
+
+/**
+ * Remove a checkpoint once its crawl has been saved in place.
+ *
+ * @param {string} dir - Checkpoint directory
+ */
+export function clearCheckpoint(dir) {
+  fs.rmSync(dir, { recursive: true, force: true });
+}
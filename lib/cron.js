@@ -0,0 +1,131 @@
+/**
+ * Cron expressions
+ *
+ * Standard 5-field expressions ("minute hour day-of-month month day-of-week"),
+ * evaluated in UTC. Fields accept *, numbers, ranges (1-5), lists (1,15)
+ * and steps (*\/15, 0-30/10); months and weekdays also accept names
+ * (jan, mon). Day-of-week 0 and 7 are both Sunday. As in cron, when both
+ * day fields are restricted a day matches if either does.
+ */
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'dayOfMonth', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'] },
+  { name: 'dayOfWeek', min: 0, max: 7, names: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'] },
+];
+
+function parseValue(value, field, expression) {
+  const nameIndex = field.names?.indexOf(value.toLowerCase()) ?? -1;
+  const n = nameIndex >= 0 ? nameIndex + (field.name === 'month' ? 1 : 0) : Number(value);
+  if (!Number.isInteger(n) || n < field.min || n > field.max) {
+    throw new Error(`Invalid ${field.name} "${value}" in cron expression "${expression}"`);
+  }
+  return n;
+}
+
+function parseField(text, field, expression) {
+  const values = new Set();
+
+  for (const part of text.split(',')) {
+    const [range, stepText] = part.split('/');
+    const step = stepText === undefined ? 1 : Number(stepText);
+    if (!Number.isInteger(step) || step < 1) {
+      throw new Error(`Invalid step "${stepText}" in cron expression "${expression}"`);
+    }
+
+    let from = field.min;
+    let to = field.max;
+    if (range !== '*') {
+      const [start, end] = range.split('-');
+      from = parseValue(start, field, expression);
+      to = end === undefined ? (stepText === undefined ? from : field.max) : parseValue(end, field, expression);
+    }
+    if (from > to) throw new Error(`Invalid range "${range}" in cron expression "${expression}"`);
+
+    for (let v = from; v <= to; v += step) values.add(v);
+  }
+
+  // Sunday is both 0 and 7
+  if (field.name === 'dayOfWeek' && values.has(7)) {
+    values.delete(7);
+    values.add(0);
+  }
+  return values;
+}
+
+/**
+ * @param {string} expression - e.g. "0 5 * * *", "30 6 * * sun"
+ * @returns {object} Parsed schedule for matchesCron() / nextCronRun()
+ */
+export function parseCron(expression) {
+  const parts = String(expression).trim().split(/\s+/);
+  if (parts.length !== 5) {
+    throw new Error(`Cron expression "${expression}" must have 5 fields (minute hour day month weekday)`);
+  }
+
+  const schedule = { expression };
+  FIELDS.forEach((field, i) => {
+    schedule[field.name] = parseField(parts[i], field, expression);
+  });
+  schedule.anyDayOfMonth = parts[2] === '*';
+  schedule.anyDayOfWeek = parts[4] === '*';
+  return schedule;
+}
+
+/**
+ * @param {object} schedule - From parseCron()
+ * @param {Date} date
+ * @returns {boolean} Whether the schedule fires in the (UTC) minute of date
+ */
+export function matchesCron(schedule, date) {
+  if (!schedule.minute.has(date.getUTCMinutes())) return false;
+  if (!schedule.hour.has(date.getUTCHours())) return false;
+  return matchesDay(schedule, date);
+}
+
+function matchesDay(schedule, date) {
+  if (!schedule.month.has(date.getUTCMonth() + 1)) return false;
+
+  const domMatch = schedule.dayOfMonth.has(date.getUTCDate());
+  const dowMatch = schedule.dayOfWeek.has(date.getUTCDay());
+  if (schedule.anyDayOfMonth || schedule.anyDayOfWeek) return domMatch && dowMatch;
+  return domMatch || dowMatch;
+}
+
+/**
+ * @param {object} schedule - From parseCron()
+ * @param {Date} [after] - Defaults to now
+ * @returns {Date|null} First matching minute strictly after `after`, null if none within 5 years
+ */
+export function nextCronRun(schedule, after = new Date()) {
+  const candidate = new Date(after.getTime());
+  candidate.setUTCSeconds(0, 0);
+  candidate.setUTCMinutes(candidate.getUTCMinutes() + 1);
+
+  // Long enough for Feb 29 schedules
+  const limit = after.getTime() + 5 * 366 * 24 * 60 * 60 * 1000;
+  while (candidate.getTime() <= limit) {
+    if (!schedule.month.has(candidate.getUTCMonth() + 1)) {
+      candidate.setUTCMonth(candidate.getUTCMonth() + 1, 1);
+      candidate.setUTCHours(0, 0);
+      continue;
+    }
+    if (!matchesDay(schedule, candidate)) {
+      candidate.setUTCDate(candidate.getUTCDate() + 1);
+      candidate.setUTCHours(0, 0);
+      continue;
+    }
+    if (!schedule.hour.has(candidate.getUTCHours())) {
+      candidate.setUTCHours(candidate.getUTCHours() + 1, 0);
+      continue;
+    }
+    if (!schedule.minute.has(candidate.getUTCMinutes())) {
+      candidate.setUTCMinutes(candidate.getUTCMinutes() + 1);
+      continue;
+    }
+    return candidate;
+  }
+  return null;
+}
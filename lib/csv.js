@@ -0,0 +1,67 @@
+/**
+ * CSV reading
+ *
+ * Just enough CSV for the data dumps the importers read: quoted fields
+ * with "" escapes, and comma, semicolon or tab delimiters detected from
+ * the first line. No multi-line fields.
+ */
+
+function parseCsvLine(line, delimiter) {
+  const fields = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const c = line[i];
+    if (quoted) {
+      if (c === '"' && line[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (c === '"') {
+        quoted = false;
+      } else {
+        field += c;
+      }
+    } else if (c === '"') {
+      quoted = true;
+    } else if (c === delimiter) {
+      fields.push(field);
+      field = '';
+    } else {
+      field += c;
+    }
+  }
+  fields.push(field);
+  return fields;
+}
+
+/**
+ * @param {string} text - File contents
+ * @returns {string[][]} Rows of fields, blank lines dropped
+ */
+export function parseCsv(text) {
+  const lines = text.split(/\r?\n/).filter(line => line.trim() !== '');
+  if (lines.length === 0) return [];
+
+  const delimiter = [',', ';', '\t'].sort((a, b) => lines[0].split(b).length - lines[0].split(a).length)[0];
+  return lines.map(line => parseCsvLine(line, delimiter));
+}
+
+/**
+ * @param {string} name - Column header or JSON key ("Delivery Date")
+ * @returns {string} Lowercase with underscores ("delivery_date")
+ */
+export function normalizeColumnName(name) {
+  return String(name).trim().toLowerCase().replace(/[\s-]+/g, '_');
+}
+
+/**
+ * Find a column by any of its usual names.
+ *
+ * @param {string[]} header - First row
+ * @param {string[]} names - Accepted names, lowercase with underscores
+ * @returns {number} Column index, -1 when missing
+ */
+export function findColumn(header, names) {
+  return header.map(normalizeColumnName).findIndex(h => names.includes(h));
+}
@@ -0,0 +1,22 @@
+/**
+ * Date helpers. Catalog dates are YYYY-MM-DD strings in UTC.
+ */
+
+export function formatDate(date) {
+  return date.toISOString().split('T')[0];
+}
+
+// The `days` dates ending at (and including) startDate, oldest first
+export function getDateRange(startDate, days) {
+  const dates = [];
+  for (let i = days - 1; i >= 0; i--) {
+    const d = new Date(startDate);
+    d.setDate(d.getDate() - i);
+    dates.push(formatDate(d));
+  }
+  return dates;
+}
+
+export function daysSince(dateStr, referenceDate) {
+  return Math.floor((new Date(referenceDate) - new Date(dateStr)) / (24 * 60 * 60 * 1000));
+}
@@ -0,0 +1,228 @@
+/**
+ * Change feed
+ *
+ * Append-only record of fleet changes (new aircraft, property changes,
+ * lifecycle transitions) in changes/YYYY-MM-DD.jsonl, one JSON event per
+ * line, filed under the flight date the change was seen on. Atom and RSS
+ * feeds are rendered from it by generate-feed.js.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { wifiProviderName } from './wifi-providers.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const DEFAULT_FEED_DIR = path.join(__dirname, '..', 'changes');
+
+const FEED_FILE_RE = /^(\d{4}-\d{2}-\d{2})\.jsonl$/;
+
+/**
+ * One-line, human-readable summary of an event ("FGSQA upgraded to Starlink").
+ *
+ * @param {object} event - Feed event
+ * @returns {string}
+ */
+export function describeEvent(event) {
+  const { registration: reg, property, old_value: from, new_value: to } = event;
+
+  if (event.event === 'new') {
+    return `${reg} joined the ${event.airline} fleet${event.type_name ? ` (${event.type_name})` : ''}`;
+  }
+
+  switch (property) {
+    case 'status':
+      if (to === 'retired') return `${reg} retired`;
+      if (to === 'stored') return `${reg} stored (not seen recently)`;
+      if (to === 'active') return `${reg} back in service`;
+      return `${reg} status: ${from} → ${to}`;
+    case 'connectivity.wifi_provider':
+      if (!to) return `${reg} no longer has ${wifiProviderName(from)}`;
+      return from
+        ? `${reg} switched WiFi from ${wifiProviderName(from)} to ${wifiProviderName(to)}`
+        : `${reg} upgraded to ${wifiProviderName(to)}`;
+    case 'connectivity.wifi':
+      return `${reg} WiFi: ${from || 'none'} → ${to || 'none'}`;
+    case 'cabin.physical_configuration':
+      return `${reg} cabin reconfigured: ${from || 'unknown'} → ${to || 'unknown'}`;
+    case 'operator.sub_fleet_code':
+      return `${reg} moved to sub-fleet ${to}`;
+    default:
+      return `${reg} ${property}: ${from} → ${to}`;
+  }
+}
+
+/**
+ * Turn an updateCatalog() result into feed events.
+ *
+ * @param {object} result - Result of updateCatalog()
+ * @param {string} [recordedAt] - ISO timestamp of the run
+ * @returns {object[]} Events: { id, recorded_at, date, airline, registration, event, property, old_value, new_value, type_code, type_name, title }
+ */
+export function buildFeedEvents(result, recordedAt = new Date().toISOString()) {
+  const events = [];
+  const add = ({ date, airline, registration, event, property = null, old_value = null, new_value = null, type_code = null, type_name = null }) => {
+    // Derived from the change itself, so a regenerated feed keeps its entry ids
+    const id = crypto.createHash('sha1')
+      .update([date, airline, registration, event, property, new_value].join('|'))
+      .digest('hex')
+      .slice(0, 16);
+    const entry = { id, recorded_at: recordedAt, date, airline, registration, event, property, old_value, new_value, type_code, type_name };
+    entry.title = describeEvent(entry);
+    events.push(entry);
+  };
+
+  for (const n of result.new) {
+    add({ date: n.date, airline: n.owner || result.airline, registration: n.registration, event: 'new', type_code: n.type_code, type_name: n.type_name });
+  }
+
+  for (const u of result.updated) {
+    for (const c of u.changes) {
+      add({ date: u.date, airline: u.owner || result.airline, registration: u.registration, event: 'change', type_code: u.type_code, type_name: u.type_name, property: c.property, old_value: c.old_value, new_value: c.new_value });
+    }
+  }
+
+  for (const s of result.stale) {
+    const c = s.change;
+    add({ date: c.timestamp, airline: result.airline, registration: s.registration, event: 'change', type_code: s.type_code, type_name: s.type_name, property: c.property, old_value: c.old_value, new_value: c.new_value });
+  }
+
+  return events;
+}
+
+/**
+ * Append events to the dated JSON Lines files.
+ *
+ * @param {object[]} events
+ * @param {string} [dir] - Defaults to changes/
+ * @returns {string[]} Files appended to
+ */
+export function appendChangeFeed(events, dir = DEFAULT_FEED_DIR) {
+  const byDate = new Map();
+  for (const event of events) {
+    if (!byDate.has(event.date)) byDate.set(event.date, []);
+    byDate.get(event.date).push(event);
+  }
+
+  const files = [];
+  if (byDate.size > 0) fs.mkdirSync(dir, { recursive: true });
+  for (const [date, dayEvents] of byDate) {
+    const file = path.join(dir, `${date}.jsonl`);
+    fs.appendFileSync(file, dayEvents.map(e => JSON.stringify(e)).join('\n') + '\n');
+    files.push(file);
+  }
+  return files;
+}
+
+/**
+ * Read events back, newest flight date first.
+ *
+ * @param {string} [dir] - Defaults to changes/
+ * @param {object} [options]
+ * @param {string} [options.airline] - Only this airline's events
+ * @param {string} [options.since] - Only events on or after this date
+ * @param {number} [options.limit] - At most this many events
+ * @returns {object[]}
+ */
+export function readChangeFeed(dir = DEFAULT_FEED_DIR, { airline, since, limit = Infinity } = {}) {
+  if (!fs.existsSync(dir)) return [];
+
+  const dates = fs.readdirSync(dir)
+    .map(f => f.match(FEED_FILE_RE)?.[1])
+    .filter(date => date && (!since || date >= since))
+    .sort()
+    .reverse();
+
+  const events = [];
+  for (const date of dates) {
+    const lines = fs.readFileSync(path.join(dir, `${date}.jsonl`), 'utf-8').split('\n').filter(Boolean);
+    const dayEvents = lines.map(line => JSON.parse(line)).filter(e => !airline || e.airline === airline);
+    // Later lines were appended later
+    events.push(...dayEvents.reverse());
+    if (events.length >= limit) break;
+  }
+  return events.slice(0, limit);
+}
+
+// ============================================================================
+// Atom / RSS
+// ============================================================================
+
+function escapeXml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function eventSummary(event) {
+  if (event.event === 'new') return `First seen on ${event.date}.`;
+  return `${event.property} changed from ${event.old_value ?? 'none'} to ${event.new_value ?? 'none'} (${event.date}).`;
+}
+
+/**
+ * Render events as an Atom 1.0 feed.
+ *
+ * @param {object[]} events - Newest first
+ * @param {object} options
+ * @param {string} options.title
+ * @param {string} options.link - Home page of the feed
+ * @param {string} options.feedUrl - Where the feed itself is published
+ * @returns {string} XML
+ */
+export function renderAtom(events, { title, link, feedUrl }) {
+  const updated = events.reduce((latest, e) => (e.recorded_at > latest ? e.recorded_at : latest), '')
+    || new Date().toISOString();
+  const entries = events.map(e => `  <entry>
+    <id>urn:fleet-catalog:change:${e.id}</id>
+    <title>${escapeXml(e.title)}</title>
+    <updated>${escapeXml(e.recorded_at)}</updated>
+    <category term="${escapeXml(e.airline)}"/>
+    <link href="${escapeXml(link)}"/>
+    <summary>${escapeXml(eventSummary(e))}</summary>
+  </entry>`);
+
+  return `<?xml version="1.0" encoding="utf-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <id>${escapeXml(feedUrl)}</id>
+  <title>${escapeXml(title)}</title>
+  <updated>${escapeXml(updated)}</updated>
+  <link href="${escapeXml(link)}"/>
+  <link rel="self" href="${escapeXml(feedUrl)}"/>
+  <author><name>Fleet Catalog</name></author>
+${entries.join('\n')}
+</feed>
+`;
+}
+
+/**
+ * Render events as an RSS 2.0 feed.
+ *
+ * @param {object[]} events - Newest first
+ * @param {object} options - Same as renderAtom
+ * @returns {string} XML
+ */
+export function renderRss(events, { title, link }) {
+  const items = events.map(e => `    <item>
+      <guid isPermaLink="false">urn:fleet-catalog:change:${e.id}</guid>
+      <title>${escapeXml(e.title)}</title>
+      <pubDate>${new Date(e.recorded_at).toUTCString()}</pubDate>
+      <category>${escapeXml(e.airline)}</category>
+      <link>${escapeXml(link)}</link>
+      <description>${escapeXml(eventSummary(e))}</description>
+    </item>`);
+
+  return `<?xml version="1.0" encoding="utf-8"?>
+<rss version="2.0">
+  <channel>
+    <title>${escapeXml(title)}</title>
+    <link>${escapeXml(link)}</link>
+    <description>${escapeXml(title)}</description>
+${items.join('\n')}
+  </channel>
+</rss>
+`;
+}
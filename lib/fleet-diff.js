@@ -0,0 +1,117 @@
+/**
+ * Catalog diffs
+ *
+ * Compares a catalog before and after an update run: fleet size, aircraft
+ * added or lost, and the history entries the run recorded. Used by
+ * cron-update.js to gate commits and to write commit messages.
+ */
+
+/**
+ * @param {object|null} before - Catalog before the run (null if it did not exist)
+ * @param {object} after - Catalog after the run
+ * @returns {object} { airline, before_active, after_active, new, removed, changes }
+ *   (active counts leave out stored and retired aircraft, so a wave of
+ *   aircraft wrongly marked stored shows up as a drop)
+ */
+export function diffCatalogs(before, after) {
+  const activeCount = catalog => (catalog?.aircraft || []).filter(a => a.status === 'active' || a.status === 'maintenance').length;
+  const beforeByReg = new Map((before?.aircraft || []).map(a => [a.registration, a]));
+  const afterRegs = new Set(after.aircraft.map(a => a.registration));
+
+  const changes = [];
+  for (const aircraft of after.aircraft) {
+    const previous = beforeByReg.get(aircraft.registration);
+    const recorded = (aircraft.history || []).slice(previous?.history?.length || 0);
+    changes.push(...recorded.map(entry => ({ registration: aircraft.registration, ...entry })));
+  }
+
+  return {
+    airline: after.airline?.iata_code,
+    before_active: activeCount(before),
+    after_active: activeCount(after),
+    new: after.aircraft.filter(a => !beforeByReg.has(a.registration)).map(a => a.registration),
+    removed: [...beforeByReg.keys()].filter(reg => !afterRegs.has(reg)),
+    changes,
+  };
+}
+
+/**
+ * Sanity checks on one airline's diff.
+ *
+ * @param {object} diff - From diffCatalogs()
+ * @param {object} [thresholds]
+ * @param {number} [thresholds.maxDropPercent] - Largest allowed drop of the active fleet
+ * @param {number} [thresholds.maxChanges] - Largest allowed number of new aircraft plus recorded changes
+ * @returns {string[]} Problems found (empty when the diff looks sane)
+ */
+export function checkFleetDiff(diff, { maxDropPercent = 10, maxChanges = 100 } = {}) {
+  const problems = [];
+  const { airline } = diff;
+
+  if (diff.before_active > 0) {
+    const dropPercent = (diff.before_active - diff.after_active) / diff.before_active * 100;
+    if (dropPercent > maxDropPercent) {
+      problems.push(`${airline}: active fleet dropped from ${diff.before_active} to ${diff.after_active} (-${Math.round(dropPercent)}%, limit ${maxDropPercent}%)`);
+    }
+  }
+
+  if (diff.removed.length > 0) {
+    problems.push(`${airline}: ${diff.removed.length} aircraft disappeared from the catalog (${diff.removed.slice(0, 5).join(', ')})`);
+  }
+
+  const total = diff.new.length + diff.changes.length;
+  if (total > maxChanges) {
+    problems.push(`${airline}: ${total} new aircraft and changes in one run (limit ${maxChanges})`);
+  }
+
+  return problems;
+}
+
+function listRegs(regs, max = 10) {
+  const shown = regs.slice(0, max).join(', ');
+  return regs.length > max ? `${shown} and ${regs.length - max} more` : shown;
+}
+
+/**
+ * Commit message summarizing a run across airlines.
+ *
+ * @param {object[]} diffs - From diffCatalogs()
+ * @param {string} date - YYYY-MM-DD
+ * @returns {string} Subject line, blank line, one paragraph per airline
+ */
+export function formatCommitMessage(diffs, date) {
+  const newCount = diffs.reduce((sum, d) => sum + d.new.length, 0);
+  const changeCount = diffs.reduce((sum, d) => sum + d.changes.length, 0);
+  const retiredCount = diffs.reduce((sum, d) => sum + d.changes.filter(c => c.property === 'status' && c.new_value === 'retired').length, 0);
+
+  const parts = [];
+  if (newCount > 0) parts.push(`${newCount} new`);
+  if (changeCount > 0) parts.push(`${changeCount} changes`);
+  if (retiredCount > 0) parts.push(`${retiredCount} retired`);
+  const subject = `Fleet update ${date}: ${parts.length > 0 ? parts.join(', ') : 'tracking data only'}`;
+
+  const paragraphs = diffs.map(d => {
+    const delta = d.after_active - d.before_active;
+    const lines = [`${d.airline}: ${d.after_active} active (${delta >= 0 ? '+' : ''}${delta})`];
+    const regsWhere = predicate => [...new Set(d.changes.filter(predicate).map(c => c.registration))];
+
+    const groups = [
+      ['New', d.new],
+      ['High-speed WiFi', regsWhere(c => c.property === 'connectivity.wifi' && c.new_value === 'high-speed')],
+      ['Cabin refits', regsWhere(c => c.property === 'cabin.physical_configuration')],
+      ['Stored', regsWhere(c => c.property === 'status' && c.new_value === 'stored')],
+      ['Retired', regsWhere(c => c.property === 'status' && c.new_value === 'retired')],
+    ];
+    for (const [label, regs] of groups) {
+      if (regs.length > 0) lines.push(`  ${label}: ${listRegs(regs)}`);
+    }
+
+    const summarized = new Set(['connectivity.wifi', 'cabin.physical_configuration', 'status']);
+    const other = d.changes.filter(c => !summarized.has(c.property)).length;
+    if (other > 0) lines.push(`  Other changes: ${other}`);
+
+    return lines.join('\n');
+  });
+
+  return [subject, '', ...paragraphs.join('\n\n').split('\n')].join('\n');
+}
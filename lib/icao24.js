@@ -0,0 +1,180 @@
+/**
+ * ICAO 24-bit addresses
+ *
+ * Fills in an aircraft's Mode-S address (icao24) from reference/icao24.json,
+ * a registration → address table imported from registry dumps, or derives
+ * it where the state of registry allocates addresses by formula. France
+ * does for F-G and F-H registrations; the Netherlands assigns PH- addresses
+ * one by one, so Dutch aircraft need the reference table and only get a
+ * range check against the national block.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { findColumn, parseCsv } from './csv.js';
+import { normalizeRegistration } from './catalog-io.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const DEFAULT_ICAO24_PATH = path.join(__dirname, '..', 'reference', 'icao24.json');
+
+const LETTERS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+
+// Registration series whose address is start + 1024 * letter1 + 32 * letter2 + letter3
+const FORMULA_SERIES = [
+  { prefix: 'FG', start: 0x390000 },
+  { prefix: 'FH', start: 0x398000 },
+];
+
+// Address blocks allocated to each state of registry (ICAO Annex 10)
+const NATIONAL_BLOCKS = [
+  { prefix: 'F', country: 'France', start: 0x380000, end: 0x3bffff },
+  { prefix: 'PH', country: 'Netherlands', start: 0x480000, end: 0x487fff },
+];
+
+const ICAO24_RE = /^[0-9a-f]{6}$/;
+
+// Column names used for registrations and addresses by common registry dumps
+const REGISTRATION_COLUMNS = ['registration', 'reg', 'regid', 'tail', 'tail_number'];
+const ICAO24_COLUMNS = ['icao24', 'icao', 'hex', 'hexid', 'modes', 'mode_s', 'mode_s_code_hex', 'transponder'];
+
+/**
+ * @param {string} value
+ * @returns {string|null} Lowercase 6-digit hex, null when not an address
+ */
+export function normalizeIcao24(value) {
+  const hex = String(value ?? '').trim().toLowerCase().replace(/^0x/, '');
+  return ICAO24_RE.test(hex) ? hex : null;
+}
+
+/**
+ * Address for registrations in a series allocated by formula.
+ *
+ * @param {string} registration - With or without dash ("F-GSQA", "FGSQA")
+ * @returns {string|null} Hex address, null when the registration is not in such a series
+ */
+export function deriveIcao24(registration) {
+  const reg = normalizeRegistration(registration);
+  const series = FORMULA_SERIES.find(s => reg.startsWith(s.prefix) && reg.length === s.prefix.length + 3);
+  if (!series) return null;
+
+  const letters = [...reg.slice(series.prefix.length)].map(c => LETTERS.indexOf(c));
+  if (letters.some(i => i < 0)) return null;
+  const address = series.start + letters[0] * 1024 + letters[1] * 32 + letters[2];
+  return address.toString(16).padStart(6, '0');
+}
+
+/**
+ * @param {string} registration
+ * @returns {object|null} { prefix, country, start, end } of the registration's state
+ */
+export function nationalBlock(registration) {
+  const reg = normalizeRegistration(registration);
+  return NATIONAL_BLOCKS
+    .filter(block => reg.startsWith(block.prefix))
+    .sort((a, b) => b.prefix.length - a.prefix.length)[0] || null;
+}
+
+/**
+ * Load the reference table.
+ *
+ * @param {string} [referencePath]
+ * @returns {object} { updated_at, sources, registrations: { REG: hex } } (empty when missing)
+ */
+export function loadIcao24Reference(referencePath = DEFAULT_ICAO24_PATH) {
+  if (!fs.existsSync(referencePath)) return { updated_at: null, sources: [], registrations: {} };
+  return JSON.parse(fs.readFileSync(referencePath, 'utf-8'));
+}
+
+/**
+ * @param {object} reference
+ * @param {string} [referencePath]
+ */
+export function saveIcao24Reference(reference, referencePath = DEFAULT_ICAO24_PATH) {
+  const registrations = Object.fromEntries(Object.entries(reference.registrations).sort(([a], [b]) => a.localeCompare(b)));
+  fs.writeFileSync(referencePath, JSON.stringify({ ...reference, registrations }, null, 2) + '\n');
+}
+
+/**
+ * Best known address for a registration: the reference table first, then
+ * the allocation formula.
+ *
+ * @param {string} registration
+ * @param {object} [reference] - From loadIcao24Reference()
+ * @returns {{ icao24: string, source: 'reference'|'derived' }|null}
+ */
+export function lookupIcao24(registration, reference) {
+  const reg = normalizeRegistration(registration);
+  const known = reference?.registrations?.[reg];
+  if (known) return { icao24: known, source: 'reference' };
+  const derived = deriveIcao24(reg);
+  return derived ? { icao24: derived, source: 'derived' } : null;
+}
+
+/**
+ * Check a catalog address against the reference table, the allocation
+ * formula and the national block.
+ *
+ * @param {string} registration
+ * @param {string|null} icao24 - Value in the catalog
+ * @param {object} [reference]
+ * @returns {string[]} Problems (empty when consistent or unknown)
+ */
+export function checkIcao24(registration, icao24, reference) {
+  if (icao24 === null || icao24 === undefined) return [];
+
+  const hex = normalizeIcao24(icao24);
+  if (!hex) return [`"${icao24}" is not a 24-bit hex address`];
+
+  const problems = [];
+  const known = reference?.registrations?.[normalizeRegistration(registration)];
+  if (known && known !== hex) problems.push(`catalog has ${hex}, reference table has ${known}`);
+
+  const derived = deriveIcao24(registration);
+  if (derived && derived !== hex) problems.push(`catalog has ${hex}, allocation formula gives ${derived}`);
+
+  const block = nationalBlock(registration);
+  const address = parseInt(hex, 16);
+  if (block && (address < block.start || address > block.end)) {
+    problems.push(`${hex} is outside the ${block.country} block ${block.start.toString(16)}-${block.end.toString(16)}`);
+  }
+
+  return problems;
+}
+
+// ============================================================================
+// Registry CSV
+// ============================================================================
+
+/**
+ * Read registration → address pairs from a registry CSV dump (OpenSky's
+ * aircraftDatabase.csv, national registers, ...). The columns are found by
+ * header name.
+ *
+ * @param {string} text - CSV file contents
+ * @returns {{ rows: Map<string, string>, skipped: number }} Registration (no dash) → hex, and rows without both values
+ */
+export function parseRegistryCsv(text) {
+  const [header, ...records] = parseCsv(text);
+  if (!header) throw new Error('Registry CSV is empty');
+
+  const regIndex = findColumn(header, REGISTRATION_COLUMNS);
+  const hexIndex = findColumn(header, ICAO24_COLUMNS);
+  if (regIndex < 0 || hexIndex < 0) {
+    throw new Error(`Registry CSV needs a registration column (${REGISTRATION_COLUMNS.join(', ')}) and an address column (${ICAO24_COLUMNS.join(', ')})`);
+  }
+
+  const rows = new Map();
+  let skipped = 0;
+  for (const fields of records) {
+    const reg = normalizeRegistration(fields[regIndex] || '');
+    const hex = normalizeIcao24(fields[hexIndex]);
+    if (!reg || !hex) {
+      skipped++;
+      continue;
+    }
+    rows.set(reg, hex);
+  }
+  return { rows, skipped };
+}
@@ -0,0 +1,205 @@
+/**
+ * API key pool
+ *
+ * Tracks calls, failures and cooldowns per API key so requests go to keys
+ * that still have quota. State can be persisted between runs; keys are
+ * stored by a hash of their value, never in clear.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+
+// Cooldown after a rate limit without Retry-After, doubled on each repeat
+const RATE_LIMIT_COOLDOWN_MS = 60 * 1000;
+const MAX_RATE_LIMIT_COOLDOWN_MS = 60 * 60 * 1000;
+
+const PERSISTED_FIELDS = [
+  'calls',
+  'failures',
+  'consecutive_failures',
+  'cooldown_until',
+  'quota_date',
+  'calls_today',
+  'last_used_at',
+  'last_status',
+];
+
+function keyId(key) {
+  return crypto.createHash('sha256').update(key).digest('hex').slice(0, 12);
+}
+
+function utcDay(ms) {
+  return new Date(ms).toISOString().slice(0, 10);
+}
+
+function nextUtcMidnight(ms) {
+  const d = new Date(ms);
+  return Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate() + 1);
+}
+
+/**
+ * Exponential backoff with jitter: a random delay between half and all of
+ * min(maxMs, baseMs * 2^attempt), so parallel clients do not retry in step.
+ *
+ * @param {number} attempt - 0 for the first retry
+ * @param {number} baseMs
+ * @param {number} maxMs
+ * @returns {number} Milliseconds to wait
+ */
+export function backoffDelay(attempt, baseMs, maxMs) {
+  const ceiling = Math.min(maxMs, baseMs * 2 ** attempt);
+  return Math.round(ceiling / 2 + Math.random() * ceiling / 2);
+}
+
+/**
+ * Parse a Retry-After header (delay in seconds, or an HTTP date).
+ *
+ * @param {string|null} value
+ * @param {number} [now]
+ * @returns {number|null} Milliseconds to wait, null when absent or invalid
+ */
+export function parseRetryAfter(value, now = Date.now()) {
+  if (!value) return null;
+  if (/^\d+$/.test(value.trim())) return parseInt(value, 10) * 1000;
+  const date = Date.parse(value);
+  return isNaN(date) ? null : Math.max(0, date - now);
+}
+
+/**
+ * Create a pool over a list of API keys.
+ *
+ * @param {string[]} apiKeys
+ * @param {object} [options]
+ * @param {string|null} [options.statePath] - JSON file to load and save per-key state
+ * @param {number|null} [options.dailyQuota] - Calls per key per UTC day, when the plan has one
+ * @returns {object} Pool with acquire(), markUsed(), markSuccess(), markRateLimited(), markError(), stats(), save()
+ */
+export function createKeyPool(apiKeys, { statePath = null, dailyQuota = null } = {}) {
+  const savedState = statePath && fs.existsSync(statePath)
+    ? JSON.parse(fs.readFileSync(statePath, 'utf-8'))
+    : { keys: {} };
+
+  const entries = apiKeys.map((key, i) => {
+    const id = keyId(key);
+    return {
+      key,
+      id,
+      label: `#${i + 1} …${key.slice(-4)}`,
+      calls: 0,
+      failures: 0,
+      consecutive_failures: 0,
+      cooldown_until: null,
+      quota_date: null,
+      calls_today: 0,
+      last_used_at: null,
+      last_status: null,
+      ...savedState.keys[id],
+      // This process only
+      session_calls: 0,
+      session_failures: 0,
+      last_request_ms: 0,
+    };
+  });
+
+  function resetDailyCount(entry, now) {
+    if (entry.quota_date !== utcDay(now)) {
+      entry.quota_date = utcDay(now);
+      entry.calls_today = 0;
+    }
+  }
+
+  // When the key can be used again (now if it is available)
+  function availableAt(entry, now) {
+    resetDailyCount(entry, now);
+    let at = now;
+    if (entry.cooldown_until) at = Math.max(at, Date.parse(entry.cooldown_until));
+    if (dailyQuota && entry.calls_today >= dailyQuota) at = Math.max(at, nextUtcMidnight(now));
+    return at;
+  }
+
+  return {
+    size: entries.length,
+
+    /**
+     * Pick the available key that has been idle the longest.
+     *
+     * @returns {{ entry: object|null, availableAt: number }} entry is null
+     *   when every key is cooling down or out of quota; availableAt is then
+     *   the earliest time one frees up
+     */
+    acquire() {
+      const now = Date.now();
+      const byAvailability = entries
+        .map(entry => ({ entry, at: availableAt(entry, now) }))
+        .sort((a, b) => a.at - b.at || a.entry.last_request_ms - b.entry.last_request_ms);
+
+      const first = byAvailability[0];
+      if (!first) return { entry: null, availableAt: Infinity };
+      return first.at <= now ? { entry: first.entry, availableAt: now } : { entry: null, availableAt: first.at };
+    },
+
+    markUsed(entry) {
+      const now = Date.now();
+      resetDailyCount(entry, now);
+      entry.calls++;
+      entry.calls_today++;
+      entry.session_calls++;
+      entry.last_request_ms = now;
+      entry.last_used_at = new Date(now).toISOString();
+    },
+
+    markSuccess(entry, status) {
+      entry.consecutive_failures = 0;
+      entry.cooldown_until = null;
+      entry.last_status = status;
+    },
+
+    markRateLimited(entry, status, retryAfterMs = null) {
+      entry.failures++;
+      entry.session_failures++;
+      entry.consecutive_failures++;
+      entry.last_status = status;
+
+      const cooldownMs = retryAfterMs ?? backoffDelay(entry.consecutive_failures - 1, RATE_LIMIT_COOLDOWN_MS, MAX_RATE_LIMIT_COOLDOWN_MS);
+      entry.cooldown_until = new Date(Date.now() + cooldownMs).toISOString();
+    },
+
+    // Server and network errors are not the key's fault: counted, no cooldown
+    markError(entry, status) {
+      entry.failures++;
+      entry.session_failures++;
+      entry.last_status = status;
+    },
+
+    /**
+     * @returns {object[]} Per-key usage, labelled without revealing the keys
+     */
+    stats() {
+      const now = Date.now();
+      return entries.map(entry => {
+        const at = availableAt(entry, now);
+        return {
+          label: entry.label,
+          calls: entry.session_calls,
+          failures: entry.session_failures,
+          calls_today: entry.calls_today,
+          daily_quota: dailyQuota,
+          total_calls: entry.calls,
+          unavailable_until: at > now ? new Date(at).toISOString() : null,
+        };
+      });
+    },
+
+    save() {
+      if (!statePath) return;
+      const keys = { ...savedState.keys };
+      for (const entry of entries) {
+        keys[entry.id] = Object.fromEntries(PERSISTED_FIELDS.map(field => [field, entry[field]]));
+      }
+      savedState.keys = keys;
+      fs.mkdirSync(path.dirname(statePath), { recursive: true });
+      fs.writeFileSync(statePath, JSON.stringify({ updated_at: new Date().toISOString(), keys }, null, 2));
+    },
+  };
+}
@@ -0,0 +1,105 @@
+/**
+ * 1.0.0 → 1.1.0
+ *
+ * - metadata.created_at/updated_at and generated_at become ISO 8601
+ *   datetimes (older catalogs have "2026-01-30 14:30:51", taken as UTC)
+ * - history timestamps become the YYYY-MM-DD date the change was seen on
+ * - every aircraft gets the full set of sub-objects and fields the schema
+ *   defines, null where unknown (ife, live_tv, operational_configuration,
+ *   ...), and aircraft_type of known type codes is resolved from
+ *   reference/aircraft-types.json, replacing what older code guessed
+ * - tracking.total_flights of records without days_seen counted days, not
+ *   flight legs: it moves to days_seen and total_flights restarts at 0
+ *
+ * The field lists are those of schema 1.1.0 and must not follow later
+ * schema changes; those get their own migration.
+ */
+
+import { getAircraftType, resolveAircraftType } from '../aircraft-types.js';
+
+const AIRCRAFT_KEYS = ['registration', 'icao24', 'aircraft_type', 'operator', 'cabin', 'connectivity', 'ife', 'status', 'tracking', 'metadata', 'history'];
+
+const SUB_OBJECT_KEYS = {
+  aircraft_type: ['iata_code', 'icao_code', 'manufacturer', 'family', 'model', 'variant', 'full_name'],
+  operator: ['sub_fleet_code', 'owner', 'operating_airline', 'cabin_crew_employer', 'cockpit_crew_employer'],
+  cabin: ['physical_configuration', 'operational_configuration', 'saleable_configuration', 'total_seats', 'classes', 'freight_configuration'],
+  connectivity: ['wifi', 'wifi_provider', 'wifi_provider_source', 'satellite', 'live_tv', 'power_outlets', 'usb_ports'],
+  ife: ['type', 'personal_screens'],
+  tracking: ['first_seen', 'last_seen', 'last_seen_source', 'adsb_last_seen', 'total_flights', 'days_seen'],
+  metadata: ['delivery_date', 'msn', 'line_number', 'production_site', 'engine_type', 'aircraft_name', 'livery', 'comments', 'created_at', 'updated_at'],
+};
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+const NAIVE_DATE_TIME_RE = /^\d{4}-\d{2}-\d{2}[ T]\d{2}:\d{2}(:\d{2}(\.\d+)?)?$/;
+
+function isoDateTime(value) {
+  if (value === null || value === undefined) return null;
+  const text = String(value).trim();
+  let parsed;
+  if (DATE_RE.test(text)) parsed = new Date(`${text}T00:00:00Z`);
+  else if (NAIVE_DATE_TIME_RE.test(text)) parsed = new Date(`${text.replace(' ', 'T')}Z`);
+  else parsed = new Date(text);
+  // Left as is for the validator to report
+  return Number.isNaN(parsed.getTime()) ? value : parsed.toISOString();
+}
+
+function isoDate(value) {
+  const text = String(value ?? '').trim();
+  // The date as written, not shifted to UTC
+  if (/^\d{4}-\d{2}-\d{2}([ T]|$)/.test(text)) return text.slice(0, 10);
+  const parsed = new Date(text);
+  return Number.isNaN(parsed.getTime()) ? value : parsed.toISOString().slice(0, 10);
+}
+
+// Keys in schema order, then whatever else the object carries
+function withKeys(object, keys, defaults = {}) {
+  const source = object && typeof object === 'object' ? object : {};
+  const ordered = Object.fromEntries(keys.map(key => [key, key in source ? source[key] : (defaults[key] ?? null)]));
+  return { ...ordered, ...source, ...ordered };
+}
+
+function migrateAircraft(aircraft) {
+  const type = aircraft.aircraft_type || {};
+  const aircraftType = withKeys(type, SUB_OBJECT_KEYS.aircraft_type);
+  // Known codes take the table's values over the older regex guesses
+  if (getAircraftType(type.iata_code)) {
+    const resolved = resolveAircraftType(type.iata_code, type.full_name ?? null);
+    for (const key of ['icao_code', 'manufacturer', 'family', 'model', 'variant']) aircraftType[key] = resolved[key];
+  }
+
+  const connectivity = aircraft.connectivity || {};
+  let tracking = aircraft.tracking || {};
+  if (!('days_seen' in tracking)) {
+    tracking = { ...tracking, days_seen: tracking.total_flights ?? 0, total_flights: 0 };
+  }
+  const metadata = withKeys(aircraft.metadata, SUB_OBJECT_KEYS.metadata);
+  metadata.created_at = isoDateTime(metadata.created_at);
+  metadata.updated_at = isoDateTime(metadata.updated_at);
+
+  return withKeys({
+    ...aircraft,
+    aircraft_type: aircraftType,
+    operator: withKeys(aircraft.operator, SUB_OBJECT_KEYS.operator),
+    cabin: withKeys(aircraft.cabin, SUB_OBJECT_KEYS.cabin, { classes: {} }),
+    connectivity: withKeys(connectivity, SUB_OBJECT_KEYS.connectivity, {
+      wifi: 'none',
+      wifi_provider_source: connectivity.wifi_provider ? 'inferred' : null,
+    }),
+    ife: withKeys(aircraft.ife, SUB_OBJECT_KEYS.ife),
+    tracking: withKeys(tracking, SUB_OBJECT_KEYS.tracking, {
+      last_seen_source: tracking.last_seen ? 'airline_api' : null,
+      total_flights: 0,
+    }),
+    metadata,
+    history: (aircraft.history || []).map(entry => ({ ...entry, timestamp: isoDate(entry.timestamp) })),
+  }, AIRCRAFT_KEYS);
+}
+
+export default {
+  version: '1.1.0',
+  description: 'ISO timestamps, date-only history timestamps, full aircraft sub-objects, day counts in days_seen',
+  up(catalog) {
+    if (catalog.generated_at) catalog.generated_at = isoDateTime(catalog.generated_at);
+    catalog.aircraft = (catalog.aircraft || []).map(migrateAircraft);
+  },
+};
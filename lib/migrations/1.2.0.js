@@ -0,0 +1,24 @@
+/**
+ * 1.1.0 → 1.2.0
+ *
+ * - tracking.last_counted_date records the day last counted in days_seen,
+ *   so a day is no longer taken as counted because last_seen, which ADS-B
+ *   imports also move, happens to be that date. Records only had last_seen
+ *   to tell: it is used unless it came from ADS-B.
+ */
+
+function migrateTracking(tracking) {
+  if (!tracking || 'last_counted_date' in tracking) return tracking;
+  return {
+    ...tracking,
+    last_counted_date: tracking.last_seen_source === 'adsb' ? null : (tracking.last_seen ?? null),
+  };
+}
+
+export default {
+  version: '1.2.0',
+  description: 'tracking.last_counted_date',
+  up(catalog) {
+    catalog.aircraft = (catalog.aircraft || []).map(aircraft => ({ ...aircraft, tracking: migrateTracking(aircraft.tracking) }));
+  },
+};
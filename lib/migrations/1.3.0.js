@@ -0,0 +1,22 @@
+/**
+ * 1.2.0 → 1.3.0
+ *
+ * - tracking.last_counted_date becomes tracking.counted_dates, every date
+ *   counted in days_seen: a single last date let runs covering the same
+ *   dates out of order (an airline's own run, then a partner run) count
+ *   days again. Days counted before are only known by that last date.
+ */
+
+function migrateTracking(tracking) {
+  if (!tracking || 'counted_dates' in tracking) return tracking;
+  const { last_counted_date: lastCounted, ...rest } = tracking;
+  return { ...rest, counted_dates: lastCounted ? [lastCounted] : [] };
+}
+
+export default {
+  version: '1.3.0',
+  description: 'tracking.counted_dates replaces last_counted_date',
+  up(catalog) {
+    catalog.aircraft = (catalog.aircraft || []).map(aircraft => ({ ...aircraft, tracking: migrateTracking(aircraft.tracking) }));
+  },
+};
@@ -0,0 +1,80 @@
+/**
+ * Catalog schema migrations
+ *
+ * Every bump of the catalog schema_version ships a migration module here:
+ *
+ *   version       Schema version the migration produces ("1.1.0")
+ *   description   What it changes
+ *   up(catalog)   Rewrites a catalog of the previous version in place
+ *
+ * Catalogs are migrated when they are loaded, through every migration
+ * newer than their schema_version, in order. A catalog from a newer schema
+ * than this checkout knows is refused rather than silently mangled.
+ */
+
+import v1_1_0 from './1.1.0.js';
+import v1_2_0 from './1.2.0.js';
+import v1_3_0 from './1.3.0.js';
+
+// In version order; the last one is the current schema
+export const MIGRATIONS = [v1_1_0, v1_2_0, v1_3_0];
+
+export const CURRENT_SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+// Version of catalogs written before schema_version was checked
+const BASE_VERSION = '1.0.0';
+
+function parseVersion(version, label) {
+  const match = String(version).match(/^(\d+)\.(\d+)\.(\d+)$/);
+  if (!match) throw new Error(`${label}: invalid schema_version "${version}"`);
+  return match.slice(1).map(Number);
+}
+
+/**
+ * @param {string} a - "1.0.0"
+ * @param {string} b
+ * @returns {number} Negative when a is older than b, 0 when equal, positive when newer
+ */
+export function compareVersions(a, b) {
+  const [x, y] = [parseVersion(a, 'compareVersions'), parseVersion(b, 'compareVersions')];
+  return x[0] - y[0] || x[1] - y[1] || x[2] - y[2];
+}
+
+/**
+ * Bring a catalog up to CURRENT_SCHEMA_VERSION.
+ *
+ * @param {object} catalog - Mutated
+ * @param {object} [options]
+ * @param {string} [options.label] - Names the catalog in errors (file path, airline)
+ * @returns {object[]} Migrations applied: { version, description }
+ * @throws {Error} When the catalog's schema is newer than this checkout's
+ */
+export function migrateCatalog(catalog, { label = 'catalog' } = {}) {
+  const version = catalog.schema_version || BASE_VERSION;
+  parseVersion(version, label);
+  if (compareVersions(version, CURRENT_SCHEMA_VERSION) > 0) {
+    throw new Error(`${label}: schema_version ${version} is newer than ${CURRENT_SCHEMA_VERSION}, the newest this checkout supports - update the code first`);
+  }
+
+  const applied = [];
+  for (const migration of MIGRATIONS) {
+    if (compareVersions(migration.version, version) <= 0) continue;
+    migration.up(catalog);
+    catalog.schema_version = migration.version;
+    applied.push({ version: migration.version, description: migration.description });
+  }
+  return applied;
+}
+
+/**
+ * Parse and migrate catalog file contents.
+ *
+ * @param {string} content - JSON text
+ * @param {string} [label]
+ * @returns {object} Catalog at CURRENT_SCHEMA_VERSION
+ */
+export function parseCatalog(content, label) {
+  const catalog = JSON.parse(content);
+  migrateCatalog(catalog, { label });
+  return catalog;
+}
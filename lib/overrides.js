@@ -0,0 +1,183 @@
+/**
+ * Manual overrides
+ *
+ * Hand-entered and community corrections, kept in overrides/<CODE>.json
+ * next to the catalogs rather than in them so automated updates cannot
+ * clobber them. Each patch sets properties of one aircraft by dotted path
+ * ("connectivity.live_tv", "ife.type") and says where the value comes from:
+ *
+ *   {
+ *     "overrides": [{
+ *       "registration": "FHTYA",
+ *       "set": { "connectivity.live_tv": true, "ife.type": "seatback" },
+ *       "source": "community",
+ *       "justification": "Seatback screens with live TV, seen on AF0334 2026-03-01"
+ *     }]
+ *   }
+ *
+ * The updater applies them after merging fetched data, with a history
+ * entry from the patch's source when a value changes, and reports where
+ * the API disagrees with an override instead of overwriting it.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { normalizeRegistration } from './catalog-io.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const DEFAULT_OVERRIDES_DIR = path.join(__dirname, '..', 'overrides');
+
+export const OVERRIDE_SOURCES = ['manual', 'community'];
+
+// Kept by the updater itself; an override would fight it
+const PROTECTED_PROPERTIES = ['registration', 'tracking', 'metadata', 'history'];
+
+/**
+ * @param {object} object
+ * @param {string} property - Dotted path ("connectivity.live_tv")
+ * @returns {*} undefined when any part of the path is missing
+ */
+export function getProperty(object, property) {
+  return property.split('.').reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), object);
+}
+
+/**
+ * @param {object} object - Mutated; missing intermediate objects are created
+ * @param {string} property - Dotted path
+ * @param {*} value
+ */
+export function setProperty(object, property, value) {
+  const keys = property.split('.');
+  const last = keys.pop();
+  let target = object;
+  for (const key of keys) {
+    if (target[key] === null || typeof target[key] !== 'object') target[key] = {};
+    target = target[key];
+  }
+  target[last] = value;
+}
+
+function sameValue(a, b) {
+  return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+}
+
+function checkPatch(patch, where) {
+  if (!patch || typeof patch !== 'object') throw new Error(`${where}: not an object`);
+  if (!patch.registration) throw new Error(`${where}: "registration" is required`);
+  if (!OVERRIDE_SOURCES.includes(patch.source)) {
+    throw new Error(`${where}: "source" must be one of ${OVERRIDE_SOURCES.join(', ')}`);
+  }
+  if (!patch.justification || !String(patch.justification).trim()) {
+    throw new Error(`${where}: "justification" is required`);
+  }
+  const properties = Object.keys(patch.set || {});
+  if (properties.length === 0) throw new Error(`${where}: "set" needs at least one property`);
+  for (const property of properties) {
+    if (PROTECTED_PROPERTIES.includes(property.split('.')[0])) {
+      throw new Error(`${where}: "${property}" is maintained by the updater and cannot be overridden`);
+    }
+  }
+}
+
+/**
+ * Load and check an airline's overrides.
+ *
+ * @param {string} airlineCode
+ * @param {string} [dir] - Defaults to overrides/
+ * @returns {object[]} Patches in file order (empty when the airline has no file)
+ */
+export function loadOverrides(airlineCode, dir = DEFAULT_OVERRIDES_DIR) {
+  const filePath = path.join(dir, `${airlineCode}.json`);
+  if (!fs.existsSync(filePath)) return [];
+
+  let content;
+  try {
+    content = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+  } catch (error) {
+    throw new Error(`Cannot read overrides ${filePath}: ${error.message}`);
+  }
+  const patches = content.overrides || [];
+  if (!Array.isArray(patches)) throw new Error(`${filePath}: "overrides" must be a list`);
+  patches.forEach((patch, i) => checkPatch(patch, `${filePath}: overrides[${i}]`));
+  return patches;
+}
+
+/**
+ * Overridden values per registration. Later patches win when two set the
+ * same property.
+ *
+ * @param {object[]} patches - From loadOverrides()
+ * @returns {Map<string, Map<string, object>>} Registration → property → { value, source, justification }
+ */
+export function indexOverrides(patches) {
+  const byReg = new Map();
+  for (const patch of patches) {
+    const reg = normalizeRegistration(patch.registration);
+    if (!byReg.has(reg)) byReg.set(reg, new Map());
+    for (const [property, value] of Object.entries(patch.set)) {
+      byReg.get(reg).set(property, { value, source: patch.source, justification: patch.justification });
+    }
+  }
+  return byReg;
+}
+
+/**
+ * Properties where freshly fetched data disagrees with an override. A
+ * property the API does not provide (null) is no disagreement.
+ *
+ * @param {Map<string, object>|undefined} overrides - One registration's entry of indexOverrides()
+ * @param {object} fetched - Aircraft built by transformToSchema
+ * @returns {object[]} { property, override_value, api_value, source, justification }
+ */
+export function findOverrideConflicts(overrides, fetched) {
+  const conflicts = [];
+  for (const [property, { value, source, justification }] of overrides || []) {
+    const apiValue = getProperty(fetched, property);
+    if (apiValue === null || apiValue === undefined || sameValue(apiValue, value)) continue;
+    conflicts.push({ property, override_value: value, api_value: apiValue, source, justification });
+  }
+  return conflicts;
+}
+
+/**
+ * Apply overrides to a catalog.
+ *
+ * @param {object} catalog - Mutated unless dryRun
+ * @param {Map<string, Map<string, object>>} overrides - From indexOverrides()
+ * @param {string} dateStr - YYYY-MM-DD used as the history timestamp
+ * @param {object} [options]
+ * @param {boolean} [options.dryRun]
+ * @returns {{ applied: object[], missing: string[] }} applied: history entries
+ *   with the registration, for values that changed; missing: registrations
+ *   not in the catalog
+ */
+export function applyOverrides(catalog, overrides, dateStr, { dryRun = false } = {}) {
+  const byReg = new Map(catalog.aircraft.map(a => [a.registration, a]));
+  const applied = [];
+  const missing = [];
+
+  for (const [registration, properties] of overrides) {
+    const aircraft = byReg.get(registration);
+    if (!aircraft) {
+      missing.push(registration);
+      continue;
+    }
+
+    for (const [property, { value, source }] of properties) {
+      const current = getProperty(aircraft, property);
+      if (sameValue(current, value)) continue;
+
+      const change = { timestamp: dateStr, property, old_value: current ?? null, new_value: value, source };
+      applied.push({ registration, ...change });
+      if (!dryRun) {
+        setProperty(aircraft, property, value);
+        aircraft.history = [...(aircraft.history || []), change];
+        aircraft.metadata.updated_at = new Date().toISOString();
+      }
+    }
+  }
+
+  return { applied, missing };
+}
@@ -0,0 +1,177 @@
+/**
+ * Aircraft metadata import
+ *
+ * Reads PlaneSpotters-style exports (CSV, or JSON as a list of records, an
+ * { aircraft: [...] } wrapper or an object keyed by registration) and fills
+ * the metadata fields the airline API never provides: msn, line_number,
+ * delivery_date, production_site, engine_type, aircraft_name and livery.
+ * Columns are found by their usual names, so registry dumps work too.
+ */
+
+import { normalizeColumnName, parseCsv } from './csv.js';
+import { normalizeRegistration } from './catalog-io.js';
+
+const REGISTRATION_COLUMNS = ['registration', 'reg', 'regid', 'tail', 'tail_number'];
+
+// metadata field → accepted column names
+export const METADATA_COLUMNS = {
+  msn: ['msn', 'serial', 'serial_number', 'c/n', 'cn', 'construction_number'],
+  line_number: ['line_number', 'ln', 'l/n', 'line', 'line_no'],
+  delivery_date: ['delivery_date', 'delivered', 'delivery', 'first_delivery', 'first_delivery_date'],
+  production_site: ['production_site', 'factory', 'assembly_line', 'final_assembly', 'built_at'],
+  engine_type: ['engine_type', 'engines', 'engine', 'powerplant'],
+  aircraft_name: ['aircraft_name', 'name', 'christened_name'],
+  livery: ['livery', 'special_livery', 'paint', 'colours', 'colors'],
+};
+
+// YYYY-MM-DD, or null when there is no such day ("2020-02-31", "2019-13-45")
+function calendarDate(year, month, day) {
+  const date = new Date(Date.UTC(Number(year), Number(month) - 1, Number(day)));
+  const valid = date.getUTCFullYear() === Number(year)
+    && date.getUTCMonth() === Number(month) - 1
+    && date.getUTCDate() === Number(day);
+  return valid ? date.toISOString().slice(0, 10) : null;
+}
+
+/**
+ * Normalize the usual export date formats to YYYY-MM-DD. Day-first for
+ * slashed and dotted dates, as written by European registries, so a
+ * month-first "03/25/2019" is rejected rather than misread.
+ *
+ * @param {string} value
+ * @returns {string|null} null when not a date
+ */
+export function normalizeDate(value) {
+  const text = String(value ?? '').trim();
+  const iso = text.match(/^(\d{4})-(\d{2})-(\d{2})/);
+  if (iso) return calendarDate(iso[1], iso[2], iso[3]);
+
+  const dayFirst = text.match(/^(\d{1,2})[./](\d{1,2})[./](\d{4})$/);
+  if (dayFirst) {
+    const [, day, month, year] = dayFirst;
+    return calendarDate(year, month, day);
+  }
+
+  // "15 Mar 2022", "March 15, 2022"
+  const parsed = /[a-z]/i.test(text) ? new Date(`${text} UTC`) : null;
+  return parsed && !Number.isNaN(parsed.getTime()) ? parsed.toISOString().slice(0, 10) : null;
+}
+
+function recordsFromJson(parsed) {
+  if (Array.isArray(parsed)) return parsed;
+  if (Array.isArray(parsed.aircraft)) return parsed.aircraft;
+  // { "F-HTYA": { "msn": "..." } }
+  return Object.entries(parsed).map(([registration, record]) => ({ registration, ...record }));
+}
+
+function recordsFromCsv(text) {
+  const [header, ...rows] = parseCsv(text);
+  if (!header) return [];
+  return rows.map(fields => Object.fromEntries(header.map((name, i) => [name, fields[i]])));
+}
+
+/**
+ * Parse one export file.
+ *
+ * @param {string} text - File contents
+ * @param {string} [name] - File name, used to tell CSV from JSON
+ * @returns {{ records: Map<string, object>, skipped: number, invalid: object[] }}
+ *   records: registration (no dash) → { field: value } for the metadata
+ *   fields present; skipped: records without a registration; invalid:
+ *   { registration, field, value } that could not be read (bad dates)
+ */
+export function parseMetadataExport(text, name = '') {
+  const trimmed = text.trim();
+  const raw = /\.json$/i.test(name) || /^[[{]/.test(trimmed)
+    ? recordsFromJson(JSON.parse(trimmed))
+    : recordsFromCsv(trimmed);
+
+  const records = new Map();
+  const invalid = [];
+  let skipped = 0;
+
+  for (const record of raw) {
+    const columns = Object.fromEntries(Object.entries(record).map(([key, value]) => [normalizeColumnName(key), value]));
+    const regColumn = REGISTRATION_COLUMNS.find(c => columns[c]);
+    if (!regColumn) {
+      skipped++;
+      continue;
+    }
+    const registration = normalizeRegistration(columns[regColumn]);
+
+    const fields = {};
+    for (const [field, names] of Object.entries(METADATA_COLUMNS)) {
+      const column = names.find(c => columns[c] !== undefined && columns[c] !== null && String(columns[c]).trim() !== '');
+      if (!column) continue;
+      const value = String(columns[column]).trim();
+      if (field === 'delivery_date') {
+        const date = normalizeDate(value);
+        if (!date) {
+          invalid.push({ registration, field, value });
+          continue;
+        }
+        fields[field] = date;
+      } else {
+        fields[field] = value;
+      }
+    }
+    records.set(registration, { ...records.get(registration), ...fields });
+  }
+
+  return { records, skipped, invalid };
+}
+
+/**
+ * Apply one export record to a catalog aircraft.
+ *
+ * Empty fields are filled; a field that already holds a different value
+ * is only replaced with overwrite, and listed as a difference otherwise.
+ *
+ * @param {object} aircraft - Catalog aircraft (mutated unless dryRun)
+ * @param {object} fields - Entry of parseMetadataExport().records
+ * @param {string} dateStr - YYYY-MM-DD used as the history timestamp
+ * @param {object} [options]
+ * @param {boolean} [options.dryRun]
+ * @param {boolean} [options.overwrite] - Replace values that differ
+ * @param {Set<string>} [options.locked] - Properties ("metadata.msn") left alone, e.g. overridden in overrides/
+ * @returns {{ changes: object[], differences: object[] }} changes: history
+ *   entries (source "planespotters"); differences: { property, catalog_value, export_value } kept as they were
+ */
+export function applyMetadata(aircraft, fields, dateStr, { dryRun = false, overwrite = false, locked = new Set() } = {}) {
+  const changes = [];
+  const differences = [];
+  const metadata = aircraft.metadata || {};
+
+  for (const [field, value] of Object.entries(fields)) {
+    const property = `metadata.${field}`;
+    const current = metadata[field] ?? null;
+    if (current === value || locked.has(property)) continue;
+    if (current !== null && !overwrite) {
+      differences.push({ property, catalog_value: current, export_value: value });
+      continue;
+    }
+    changes.push({ timestamp: dateStr, property, old_value: current, new_value: value, source: 'planespotters' });
+  }
+
+  if (!dryRun && changes.length > 0) {
+    aircraft.metadata = metadata;
+    for (const change of changes) metadata[change.property.slice('metadata.'.length)] = change.new_value;
+    metadata.updated_at = new Date().toISOString();
+    aircraft.history = [...(aircraft.history || []), ...changes];
+  }
+
+  return { changes, differences };
+}
+
+/**
+ * Age in years on a date, from the delivery date.
+ *
+ * @param {object} aircraft - Catalog aircraft
+ * @param {string} onDate - YYYY-MM-DD
+ * @returns {number|null} null when the delivery date is unknown or unreadable
+ */
+export function aircraftAge(aircraft, onDate) {
+  const delivered = Date.parse(aircraft.metadata?.delivery_date ?? '');
+  if (Number.isNaN(delivered)) return null;
+  return (Date.parse(onDate) - delivered) / (365.25 * 24 * 60 * 60 * 1000);
+}
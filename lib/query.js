@@ -0,0 +1,206 @@
+/**
+ * Catalog queries
+ *
+ * Filtering and output formatting shared by the fleet-query CLI and other
+ * read-only consumers of airlines/*.json.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { parseCatalog } from './migrations/index.js';
+import { DEFAULT_CATALOG_DIR, normalizeRegistration } from './catalog-io.js';
+import { wifiProviderName } from './wifi-providers.js';
+
+export const SEAT_CLASSES = ['first', 'business', 'premium_economy', 'economy', 'total'];
+
+/**
+ * Load every catalog in a directory, keyed by airline code (file name),
+ * migrated to the current schema.
+ *
+ * @param {string} [dir] - Defaults to airlines/
+ * @returns {Object<string, object>}
+ */
+export function loadAllCatalogs(dir = DEFAULT_CATALOG_DIR) {
+  const catalogs = {};
+  for (const file of fs.readdirSync(dir).filter(f => f.endsWith('.json')).sort()) {
+    const code = file.replace('.json', '');
+    const catalogPath = path.join(dir, file);
+    catalogs[code] = parseCatalog(fs.readFileSync(catalogPath, 'utf-8'), catalogPath);
+  }
+  return catalogs;
+}
+
+/**
+ * Find one aircraft across all catalogs.
+ *
+ * @returns {{ airline: string, aircraft: object }|null}
+ */
+export function findAircraft(catalogs, registration) {
+  const reg = normalizeRegistration(registration);
+  for (const [airline, catalog] of Object.entries(catalogs)) {
+    const aircraft = catalog.aircraft.find(a => a.registration === reg);
+    if (aircraft) return { airline, aircraft };
+  }
+  return null;
+}
+
+/**
+ * Parse a seat condition such as "business>=30", "premium_economy>0" or "total=148".
+ *
+ * @returns {{ seatClass: string, op: string, value: number }}
+ */
+export function parseSeatCondition(condition) {
+  const match = String(condition).match(/^([a-z_]+)\s*(>=|<=|=|>|<)\s*(\d+)$/);
+  if (!match || !SEAT_CLASSES.includes(match[1])) {
+    throw new Error(`Invalid seat condition "${condition}" (expected <class><op><n>, class one of ${SEAT_CLASSES.join(', ')})`);
+  }
+  return { seatClass: match[1], op: match[2], value: parseInt(match[3], 10) };
+}
+
+/**
+ * Parse a date range "FROM..TO"; either side may be empty. A single date
+ * means that day only.
+ *
+ * @returns {{ from: string|null, to: string|null }}
+ */
+export function parseDateRange(range) {
+  const [from, to] = String(range).includes('..') ? String(range).split('..') : [range, range];
+  for (const d of [from, to]) {
+    if (d && !/^\d{4}-\d{2}-\d{2}$/.test(d)) throw new Error(`Invalid date "${d}" in range "${range}"`);
+  }
+  return { from: from || null, to: to || null };
+}
+
+function compare(actual, op, expected) {
+  switch (op) {
+    case '>': return actual > expected;
+    case '<': return actual < expected;
+    case '>=': return actual >= expected;
+    case '<=': return actual <= expected;
+    default: return actual === expected;
+  }
+}
+
+function inRange(date, range) {
+  if (!range) return true;
+  if (!date) return false;
+  if (range.from && date < range.from) return false;
+  if (range.to && date > range.to) return false;
+  return true;
+}
+
+function matchesText(value, needle) {
+  return (value || '').toUpperCase().includes(needle.toUpperCase());
+}
+
+/**
+ * Filter aircraft across catalogs.
+ *
+ * @param {Object<string, object>} catalogs - From loadAllCatalogs
+ * @param {object} [filters]
+ * @param {string[]} [filters.airlines] - Airline codes
+ * @param {string} [filters.type] - Exact IATA type code or substring of the full type name
+ * @param {string} [filters.subFleet] - operator.sub_fleet_code
+ * @param {string} [filters.wifi] - none, low-speed or high-speed
+ * @param {string} [filters.provider] - Substring of the provider id or name (connectivity.wifi_provider)
+ * @param {string} [filters.status] - active, stored, maintenance or retired
+ * @param {object[]} [filters.seats] - Conditions from parseSeatCondition, all must match
+ * @param {object} [filters.firstSeen] - Range from parseDateRange
+ * @param {object} [filters.lastSeen] - Range from parseDateRange
+ * @returns {{ airline: string, aircraft: object }[]}
+ */
+export function filterAircraft(catalogs, filters = {}) {
+  const results = [];
+  const airlines = filters.airlines?.map(a => a.toUpperCase());
+
+  for (const [airline, catalog] of Object.entries(catalogs)) {
+    if (airlines && !airlines.includes(airline)) continue;
+
+    for (const a of catalog.aircraft) {
+      if (filters.type) {
+        const typeMatch = (a.aircraft_type?.iata_code || '').toUpperCase() === filters.type.toUpperCase()
+          || matchesText(a.aircraft_type?.full_name, filters.type);
+        if (!typeMatch) continue;
+      }
+      if (filters.subFleet && a.operator?.sub_fleet_code !== filters.subFleet) continue;
+      if (filters.wifi && (a.connectivity?.wifi || 'none') !== filters.wifi) continue;
+      if (filters.provider) {
+        const provider = a.connectivity?.wifi_provider;
+        if (!matchesText(provider, filters.provider) && !matchesText(wifiProviderName(provider), filters.provider)) continue;
+      }
+      if (filters.status && a.status !== filters.status) continue;
+
+      const seatsMatch = (filters.seats || []).every(({ seatClass, op, value }) => {
+        const actual = seatClass === 'total' ? a.cabin?.total_seats || 0 : a.cabin?.classes?.[seatClass] || 0;
+        return compare(actual, op, value);
+      });
+      if (!seatsMatch) continue;
+
+      if (!inRange(a.tracking?.first_seen, filters.firstSeen)) continue;
+      if (!inRange(a.tracking?.last_seen, filters.lastSeen)) continue;
+
+      results.push({ airline, aircraft: a });
+    }
+  }
+
+  return results;
+}
+
+// ============================================================================
+// Output Formats
+// ============================================================================
+
+const COLUMNS = [
+  ['Airline', r => r.airline],
+  ['Registration', r => r.aircraft.registration],
+  ['Type', r => r.aircraft.aircraft_type?.iata_code],
+  ['Name', r => r.aircraft.aircraft_type?.full_name],
+  ['Sub-fleet', r => r.aircraft.operator?.sub_fleet_code],
+  ['Config', r => r.aircraft.cabin?.physical_configuration],
+  ['Seats', r => r.aircraft.cabin?.total_seats],
+  ['WiFi', r => r.aircraft.connectivity?.wifi],
+  ['Provider', r => r.aircraft.connectivity?.wifi_provider],
+  ['Status', r => r.aircraft.status],
+  ['First seen', r => r.aircraft.tracking?.first_seen],
+  ['Last seen', r => r.aircraft.tracking?.last_seen],
+];
+
+function rowValues(result) {
+  return COLUMNS.map(([, get]) => {
+    const value = get(result);
+    return value === null || value === undefined ? '' : String(value);
+  });
+}
+
+export function formatTable(results) {
+  const header = COLUMNS.map(([name]) => name);
+  const rows = results.map(rowValues);
+  const widths = header.map((h, i) => Math.max(h.length, ...rows.map(r => r[i].length)));
+  const line = cells => cells.map((c, i) => c.padEnd(widths[i])).join('  ').trimEnd();
+
+  return [line(header), widths.map(w => '-'.repeat(w)).join('  '), ...rows.map(line)].join('\n');
+}
+
+function csvCell(value) {
+  return /[",\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+}
+
+export function formatCsv(results) {
+  const header = COLUMNS.map(([name]) => name);
+  return [header, ...results.map(rowValues)].map(cells => cells.map(csvCell).join(',')).join('\n');
+}
+
+export function formatJson(results) {
+  return JSON.stringify(results.map(r => ({ airline: r.airline, ...r.aircraft })), null, 2);
+}
+
+export function formatRegistrations(results) {
+  return results.map(r => r.aircraft.registration).join('\n');
+}
+
+export const FORMATTERS = {
+  table: formatTable,
+  json: formatJson,
+  csv: formatCsv,
+  regs: formatRegistrations,
+};
@@ -0,0 +1,114 @@
+/**
+ * Scheduled run bookkeeping
+ *
+ * A lock file so two cron-update.js runs (daemon jobs, pm2, a manual run)
+ * never update the catalogs at the same time, and a JSON Lines history of
+ * every run: when it started and ended, how it went and how many API
+ * requests it used.
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+function isRunning(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    // EPERM: the process exists but belongs to someone else
+    return error.code === 'EPERM';
+  }
+}
+
+/**
+ * @param {string} lockPath
+ * @returns {object|null} Contents of the lock ({ pid, job, started_at }), null if not locked
+ */
+export function readLock(lockPath) {
+  try {
+    return JSON.parse(fs.readFileSync(lockPath, 'utf-8'));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Take the lock. A lock left behind by a process that no longer exists is
+ * taken over.
+ *
+ * @param {string} lockPath
+ * @param {string} job - Recorded in the lock, for whoever finds it held
+ * @returns {{ acquired: boolean, holder: object|null, release: function }}
+ *   holder is the current lock when it could not be acquired
+ */
+export function acquireLock(lockPath, job) {
+  const info = { pid: process.pid, job, started_at: new Date().toISOString() };
+
+  for (let attempt = 0; attempt < 2; attempt++) {
+    // Written in full before it is linked into place, so no other process
+    // ever reads a half-written lock and takes it for a stale one
+    fs.mkdirSync(path.dirname(lockPath), { recursive: true });
+    const tempPath = `${lockPath}.${process.pid}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(info));
+    try {
+      fs.linkSync(tempPath, lockPath);
+      const release = () => {
+        if (readLock(lockPath)?.pid === process.pid) fs.rmSync(lockPath, { force: true });
+      };
+      return { acquired: true, holder: null, release };
+    } catch (error) {
+      if (error.code !== 'EEXIST') throw error;
+    } finally {
+      fs.rmSync(tempPath, { force: true });
+    }
+
+    const holder = readLock(lockPath);
+    if (holder?.pid && isRunning(holder.pid)) {
+      return { acquired: false, holder, release: () => {} };
+    }
+    fs.rmSync(lockPath, { force: true });
+  }
+
+  return { acquired: false, holder: readLock(lockPath), release: () => {} };
+}
+
+/**
+ * @param {string} historyPath
+ * @param {object} run - { job, task, airline, started_at, ended_at, status, requests, error }
+ */
+export function appendRunHistory(historyPath, run) {
+  fs.mkdirSync(path.dirname(historyPath), { recursive: true });
+  fs.appendFileSync(historyPath, JSON.stringify(run) + '\n');
+}
+
+/**
+ * @param {string} historyPath
+ * @param {object} [options]
+ * @param {string} [options.job] - Only this job's runs
+ * @param {number} [options.limit] - At most this many runs
+ * @returns {object[]} Runs, newest first
+ */
+export function readRunHistory(historyPath, { job, limit = Infinity } = {}) {
+  if (!fs.existsSync(historyPath)) return [];
+
+  return fs.readFileSync(historyPath, 'utf-8')
+    .split('\n')
+    .filter(Boolean)
+    .map(line => JSON.parse(line))
+    .filter(run => !job || run.job === job)
+    .reverse()
+    .slice(0, limit);
+}
+
+/**
+ * Total API requests recorded in a key pool state file (lib/key-pool.js).
+ * Read before and after a run to count the requests it made.
+ *
+ * @param {string} statePath
+ * @returns {number|null} null when there is no state file
+ */
+export function countApiRequests(statePath) {
+  if (!fs.existsSync(statePath)) return null;
+  const state = JSON.parse(fs.readFileSync(statePath, 'utf-8'));
+  return Object.values(state.keys || {}).reduce((sum, key) => sum + (key.calls || 0), 0);
+}
@@ -0,0 +1,218 @@
+/**
+ * Read-only HTTP API over the catalogs
+ *
+ * Dependency-free (node:http). Catalogs are held in memory and reloaded when
+ * files in the catalog directory change. Every JSON response carries an ETag
+ * so clients can revalidate with If-None-Match.
+ *
+ * Routes:
+ *   GET /airlines
+ *   GET /airlines/:code/aircraft        (filters: see filtersFromQuery)
+ *   GET /aircraft/:registration
+ *   GET /aircraft/:registration/history
+ *   GET /stats
+ *   GET /reference/wifi-providers
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import http from 'http';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { DEFAULT_CATALOG_DIR } from './catalog-io.js';
+import {
+  loadAllCatalogs,
+  findAircraft,
+  filterAircraft,
+  parseSeatCondition,
+  parseDateRange,
+} from './query.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DEFAULT_REFERENCE_DIR = path.join(__dirname, '..', 'reference');
+
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+// Path segment as matched by a route, e.g. "F-HTYA" from "F%2DHTYA"
+function decodeParam(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch {
+    throw new HttpError(400, `Malformed escape in path: ${value}`);
+  }
+}
+
+// Query string → filterAircraft filters. Unknown parameters are ignored.
+function filtersFromQuery(params) {
+  const firstSeen = params.get('first_seen');
+  const lastSeen = params.get('last_seen');
+  try {
+    return {
+      type: params.get('type') || undefined,
+      subFleet: params.get('sub_fleet') || undefined,
+      wifi: params.get('wifi') || undefined,
+      provider: params.get('provider') || undefined,
+      status: params.get('status') || undefined,
+      seats: params.getAll('seats').map(parseSeatCondition),
+      firstSeen: firstSeen ? parseDateRange(firstSeen) : null,
+      lastSeen: lastSeen ? parseDateRange(lastSeen) : null,
+    };
+  } catch (error) {
+    throw new HttpError(400, error.message);
+  }
+}
+
+function getStats(catalogs) {
+  const airlines = {};
+  for (const [code, catalog] of Object.entries(catalogs)) {
+    const byStatus = {};
+    const wifi = { none: 0, 'low-speed': 0, 'high-speed': 0 };
+    const byType = {};
+
+    for (const a of catalog.aircraft) {
+      const status = a.status || 'active';
+      byStatus[status] = (byStatus[status] || 0) + 1;
+      // Retired aircraft stay in the catalog for history but are no longer fleet
+      if (status === 'retired') continue;
+      
+      const tier = a.connectivity?.wifi || 'none';
+      wifi[tier] = (wifi[tier] || 0) + 1;
+      const type = a.aircraft_type?.iata_code || 'unknown';
+      byType[type] = (byType[type] || 0) + 1;
+    }
+
+    airlines[code] = {
+      total: catalog.aircraft.length,
+      in_service: catalog.aircraft.length - (byStatus.retired || 0),
+      status: byStatus,
+      wifi,
+      types: byType,
+    };
+  }
+  return { airlines };
+}
+
+/**
+ * Create the API server. Call .listen(port) on the result.
+ *
+ * @param {object} [options]
+ * @param {string} [options.catalogDir] - Defaults to airlines/
+ * @param {string} [options.referenceDir] - Defaults to reference/
+ * @param {boolean} [options.watch] - Reload catalogs when files change (default true)
+ * @param {function} [options.log] - Called with one message per reload or error
+ * @returns {http.Server}
+ */
+export function createCatalogServer({
+  catalogDir = DEFAULT_CATALOG_DIR,
+  referenceDir = DEFAULT_REFERENCE_DIR,
+  watch = true,
+  log = () => {},
+} = {}) {
+  let catalogs = loadAllCatalogs(catalogDir);
+  let watcher = null;
+  let reloadTimer = null;
+
+  // Files are rewritten in place by the updater; wait for writes to settle
+  // and keep serving the previous data if a file is caught half-written.
+  function reload() {
+    try {
+      catalogs = loadAllCatalogs(catalogDir);
+      log(`🔄 Reloaded ${Object.keys(catalogs).length} catalogs`);
+    } catch (error) {
+      log(`⚠️  Reload failed, keeping previous data: ${error.message}`);
+    }
+  }
+
+  if (watch) {
+    watcher = fs.watch(catalogDir, () => {
+      clearTimeout(reloadTimer);
+      reloadTimer = setTimeout(reload, 200);
+    });
+  }
+
+  const routes = [
+    [/^\/airlines$/, () => Object.entries(catalogs).map(([code, c]) => ({
+      code,
+      ...c.airline,
+      aircraft_count: c.aircraft.length,
+      generated_at: c.generated_at,
+    }))],
+    [/^\/airlines\/([^/]+)\/aircraft$/, ([code], params) => {
+      const airline = code.toUpperCase();
+      if (!catalogs[airline]) throw new HttpError(404, `Unknown airline: ${code}`);
+      return filterAircraft(catalogs, { ...filtersFromQuery(params), airlines: [airline] })
+        .map(r => r.aircraft);
+    }],
+    [/^\/aircraft\/([^/]+)$/, ([registration]) => {
+      const found = findAircraft(catalogs, registration);
+      if (!found) throw new HttpError(404, `Unknown aircraft: ${registration}`);
+      return { airline: found.airline, ...found.aircraft };
+    }],
+    [/^\/aircraft\/([^/]+)\/history$/, ([registration]) => {
+      const found = findAircraft(catalogs, registration);
+      if (!found) throw new HttpError(404, `Unknown aircraft: ${registration}`);
+      return found.aircraft.history || [];
+    }],
+    [/^\/stats$/, () => getStats(catalogs)],
+    [/^\/reference\/wifi-providers$/, () => {
+      return JSON.parse(fs.readFileSync(path.join(referenceDir, 'wifi-providers.json'), 'utf-8'));
+    }],
+  ];
+
+  function send(req, res, status, payload) {
+    const body = JSON.stringify(payload, null, 2);
+    const etag = `"${crypto.createHash('sha1').update(body).digest('base64url')}"`;
+    const headers = {
+      'Content-Type': 'application/json; charset=utf-8',
+      'Access-Control-Allow-Origin': '*',
+      'Cache-Control': 'no-cache',
+      'ETag': etag,
+    };
+
+    if (status === 200 && req.headers['if-none-match'] === etag) {
+      res.writeHead(304, headers);
+      res.end();
+      return;
+    }
+
+    res.writeHead(status, { ...headers, 'Content-Length': Buffer.byteLength(body) });
+    res.end(req.method === 'HEAD' ? undefined : body);
+  }
+
+  const server = http.createServer((req, res) => {
+    try {
+      if (req.method !== 'GET' && req.method !== 'HEAD') {
+        throw new HttpError(405, `Method not allowed: ${req.method}`);
+      }
+
+      const url = new URL(req.url, 'http://localhost');
+      const pathname = url.pathname.replace(/\/+$/, '') || '/';
+
+      for (const [pattern, handler] of routes) {
+        const match = pathname.match(pattern);
+        if (match) {
+          const params = match.slice(1).map(decodeParam);
+          send(req, res, 200, handler(params, url.searchParams));
+          return;
+        }
+      }
+
+      throw new HttpError(404, `Not found: ${pathname}`);
+    } catch (error) {
+      if (!(error instanceof HttpError)) log(`❌ ${req.method} ${req.url}: ${error.message}`);
+      send(req, res, error.status || 500, { error: error instanceof HttpError ? error.message : 'Internal server error' });
+    }
+  });
+
+  server.on('close', () => {
+    watcher?.close();
+    clearTimeout(reloadTimer);
+  });
+
+  return server;
+}
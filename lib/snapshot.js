@@ -0,0 +1,109 @@
+/**
+ * Point-in-time reconstruction
+ *
+ * Catalogs only store current values plus `history` deltas. These helpers
+ * rebuild what an aircraft (or a whole catalog) looked like on a past date by
+ * undoing, newest first, every history entry recorded after that date.
+ */
+
+import { parseCabinConfig } from './cabin.js';
+
+function setPath(obj, dotPath, value) {
+  const keys = dotPath.split('.');
+  let node = obj;
+  for (const key of keys.slice(0, -1)) {
+    if (node[key] === null || typeof node[key] !== 'object') node[key] = {};
+    node = node[key];
+  }
+  node[keys[keys.length - 1]] = value;
+}
+
+// History timestamps are dates or ISO datetimes; compare on the date part
+function entryDate(entry) {
+  return String(entry.timestamp).slice(0, 10);
+}
+
+/**
+ * Rebuild one aircraft as of the end of a date.
+ *
+ * Flight counters cannot be rebuilt from deltas and are returned as null.
+ *
+ * @param {object} aircraft - Current catalog record
+ * @param {string} date - YYYY-MM-DD
+ * @returns {object|null} The aircraft state, or null if it was not tracked yet
+ */
+export function reconstructAircraft(aircraft, date) {
+  const firstSeen = aircraft.tracking?.first_seen;
+  if (firstSeen && firstSeen > date) return null;
+
+  const snapshot = structuredClone(aircraft);
+  const history = snapshot.history || [];
+  const later = history
+    .map((entry, index) => ({ entry, index }))
+    .filter(({ entry }) => entryDate(entry) > date)
+    // Undo newest first; entries on the same date are undone in reverse insertion order
+    .sort((a, b) => entryDate(b.entry).localeCompare(entryDate(a.entry)) || b.index - a.index);
+
+  for (const { entry } of later) {
+    setPath(snapshot, entry.property, entry.old_value ?? null);
+  }
+
+  if (later.some(({ entry }) => entry.property === 'cabin.physical_configuration')) {
+    const classes = parseCabinConfig(snapshot.cabin.physical_configuration);
+    snapshot.cabin.classes = classes;
+    snapshot.cabin.total_seats = Object.values(classes).reduce((a, b) => a + b, 0) || null;
+  }
+
+  snapshot.history = history.filter(entry => entryDate(entry) <= date);
+
+  if (snapshot.tracking) {
+    if (snapshot.tracking.last_seen && snapshot.tracking.last_seen > date) {
+      snapshot.tracking.last_seen = date;
+    }
+    snapshot.tracking.total_flights = null;
+    if ('days_seen' in snapshot.tracking) snapshot.tracking.days_seen = null;
+    if (snapshot.tracking.counted_dates) {
+      snapshot.tracking.counted_dates = snapshot.tracking.counted_dates.filter(d => d <= date);
+    }
+  }
+
+  return snapshot;
+}
+
+/**
+ * Rebuild a whole catalog as of the end of a date, in the catalog schema.
+ *
+ * @param {object} catalog - Current catalog
+ * @param {string} date - YYYY-MM-DD
+ * @returns {object} Catalog snapshot with `snapshot_date` set
+ */
+export function reconstructCatalog(catalog, date) {
+  const aircraft = catalog.aircraft
+    .map(a => reconstructAircraft(a, date))
+    .filter(Boolean);
+
+  const snapshot = {
+    ...catalog,
+    generated_at: new Date().toISOString(),
+    snapshot_date: date,
+    aircraft_count: aircraft.length,
+    aircraft,
+  };
+  // Date-keyed bookkeeping only up to the snapshot date
+  if (catalog.processed_dates) {
+    snapshot.processed_dates = catalog.processed_dates.filter(d => d <= date);
+  }
+  if (catalog.incomplete_dates) {
+    snapshot.incomplete_dates = catalog.incomplete_dates.filter(d => d <= date);
+    if (snapshot.incomplete_dates.length === 0) delete snapshot.incomplete_dates;
+  }
+  const untilDate = byDate => Object.fromEntries(Object.entries(byDate).filter(([d]) => d <= date));
+  if (catalog.partial_counts) {
+    snapshot.partial_counts = untilDate(catalog.partial_counts);
+    if (Object.keys(snapshot.partial_counts).length === 0) delete snapshot.partial_counts;
+  }
+  if (catalog.schedule_by_owner) {
+    snapshot.schedule_by_owner = untilDate(catalog.schedule_by_owner);
+  }
+  return snapshot;
+}
@@ -0,0 +1,15 @@
+/**
+ * Air France-KLM Open Data source adapter
+ *
+ * Serves every airline whose flights come from the AF/KL /flightstatus API.
+ */
+
+import { fetchFlightsForDate } from '../api.js';
+import { extractAircraftFromFlight } from '../transform.js';
+
+export default {
+  id: 'afklm',
+  name: 'Air France-KLM Open Data API',
+  fetchFlights: fetchFlightsForDate,
+  extractAircraft: extractAircraftFromFlight,
+};
@@ -0,0 +1,53 @@
+/**
+ * Data source adapters
+ *
+ * Each airline in reference/airlines.json names a source. A source adapter is
+ * an object with:
+ *
+ *   id                                         Matches the registry's "source"
+ *   name                                       Human-readable name
+ *   fetchFlights(dateStr, airlineCode, cbs)    Promise of raw flights for a date
+ *   extractAircraft(flight, airlineCode, opts) Raw aircraft records for a flight,
+ *                                              in the shape transformToSchema reads;
+ *                                              opts.includePartners keeps aircraft
+ *                                              owned by other airlines
+ */
+
+import { getAirline } from '../airlines.js';
+import afklm from './afklm.js';
+
+const SOURCES = new Map();
+
+/**
+ * Register a source adapter, replacing any adapter with the same id.
+ *
+ * @param {object} adapter
+ */
+export function registerSource(adapter) {
+  for (const key of ['id', 'fetchFlights', 'extractAircraft']) {
+    if (!adapter?.[key]) throw new Error(`Source adapter is missing "${key}"`);
+  }
+  SOURCES.set(adapter.id, adapter);
+}
+
+/**
+ * @param {string} id
+ * @returns {object} The registered adapter
+ */
+export function getSource(id) {
+  const source = SOURCES.get(id);
+  if (!source) throw new Error(`Unknown data source: ${id}`);
+  return source;
+}
+
+/**
+ * @param {string} airlineCode - IATA code from the airline registry
+ * @returns {object} The adapter that serves this airline
+ */
+export function getSourceForAirline(airlineCode) {
+  const airline = getAirline(airlineCode);
+  if (!airline) throw new Error(`Unknown airline: ${airlineCode}`);
+  return getSource(airline.source);
+}
+
+registerSource(afklm);
@@ -0,0 +1,202 @@
+/**
+ * Flight data extraction
+ *
+ * Turns raw /flightstatus flights into schema aircraft records.
+ */
+
+import { resolveAircraftType } from './aircraft-types.js';
+import { parseCabinConfig, sameCabinConfig } from './cabin.js';
+import { inferWifiProvider } from './wifi-providers.js';
+
+function extractAircraftFromLeg(leg, airlineCode, operatingAirlineCode, includePartners) {
+  if (!leg?.aircraft?.registration) return null;
+
+  const aircraft = leg.aircraft;
+  
+  // Filter by owner airline unless partner-owned aircraft are wanted too
+  if (!includePartners && aircraft.ownerAirlineCode !== airlineCode) return null;
+  
+  return {
+    registration: aircraft.registration,
+    typeCode: aircraft.typeCode || null,
+    typeName: aircraft.typeName || null,
+    subFleetCode: aircraft.subFleetCodeId || null,
+    ownerAirlineCode: aircraft.ownerAirlineCode || null,
+    ownerAirlineName: aircraft.ownerAirlineName || null,
+    operatingAirlineCode,
+    cabinCrewEmployer: aircraft.cabinCrewEmployer || null,
+    cockpitCrewEmployer: aircraft.cockpitCrewEmployer || null,
+    wifiEnabled: aircraft.wifiEnabled || null,
+    highSpeedWifi: aircraft.highSpeedWifi || null,
+    satelliteConnectivity: aircraft.satelliteConnectivityOnBoard || null,
+    physicalPaxConfiguration: aircraft.physicalPaxConfiguration || null,
+  };
+}
+
+/**
+ * Extract the aircraft of every leg of an operational flight.
+ *
+ * Every leg is examined: later legs of a multi-leg flight can carry a
+ * different aircraft, or be the first to show an aircraft change.
+ *
+ * @param {object} flight - Raw `operationalFlights` entry
+ * @param {string} airlineCode - Airline whose flights were queried
+ * @param {object} [options]
+ * @param {boolean} [options.includePartners] - Also keep aircraft owned by other
+ *   airlines (sub-carriers, wet-lease partners); by default only aircraft
+ *   owned by airlineCode are kept
+ * @returns {object[]} One raw aircraft record per matching leg
+ */
+export function extractAircraftFromFlight(flight, airlineCode, { includePartners = false } = {}) {
+  const operatingAirlineCode = flight.airline?.code || airlineCode;
+  return (flight.flightLegs || [])
+    .map(leg => extractAircraftFromLeg(leg, airlineCode, operatingAirlineCode, includePartners))
+    .filter(Boolean);
+}
+
+const CONFLICT_PROPERTIES = [
+  'typeCode',
+  'subFleetCode',
+  'wifiEnabled',
+  'highSpeedWifi',
+  'satelliteConnectivity',
+  'physicalPaxConfiguration',
+];
+
+/**
+ * Report properties on which legs of one flight disagree for the same aircraft.
+ *
+ * @param {object} flight - Raw `operationalFlights` entry
+ * @param {object[]} legAircraft - Result of extractAircraftFromFlight for that flight
+ * @returns {{ flight: string, registration: string, property: string, values: any[] }[]}
+ */
+export function findLegConflicts(flight, legAircraft) {
+  const conflicts = [];
+  const byReg = new Map();
+  for (const a of legAircraft) {
+    if (!byReg.has(a.registration)) byReg.set(a.registration, []);
+    byReg.get(a.registration).push(a);
+  }
+
+  for (const [registration, legs] of byReg) {
+    if (legs.length < 2) continue;
+
+    for (const property of CONFLICT_PROPERTIES) {
+      const values = legs.map(l => l[property]);
+      const agree = property === 'physicalPaxConfiguration'
+        ? values.every(v => sameCabinConfig(v, values[0]))
+        : values.every(v => v === values[0]);
+      
+      if (!agree) {
+        conflicts.push({
+          flight: `${flight.airline?.code || ''}${flight.flightNumber || flight.id || '?'}`,
+          registration,
+          property,
+          values,
+        });
+      }
+    }
+  }
+
+  return conflicts;
+}
+
+/**
+ * Map the API's wifiEnabled/highSpeedWifi flags to the schema's wifi tier.
+ *
+ * @param {string|null} wifiEnabled - "Y" or "N"
+ * @param {string|null} highSpeedWifi - "Y" or "N"
+ * @returns {'none'|'low-speed'|'high-speed'}
+ */
+export function convertWifi(wifiEnabled, highSpeedWifi) {
+  if (wifiEnabled !== 'Y') return 'none';
+  if (highSpeedWifi === 'Y') return 'high-speed';
+  return 'low-speed';
+}
+
+/**
+ * Build a schema aircraft record from a raw aircraft extracted from a flight leg.
+ *
+ * @param {object} raw - Raw aircraft record from extractAircraftFromFlight
+ * @param {string} firstSeenDate - YYYY-MM-DD used for first_seen and last_seen
+ * @param {object} [options]
+ * @param {string|null} [options.icao24] - Mode-S address, when known (see lib/icao24.js)
+ * @param {string|null} [options.airline] - Airline the provider is inferred for when the leg names no owner
+ * @returns {object} Aircraft record with zeroed flight counters
+ */
+export function transformToSchema(raw, firstSeenDate, { icao24 = null, airline = null } = {}) {
+  const cabinClasses = parseCabinConfig(raw.physicalPaxConfiguration);
+  const wifi = convertWifi(raw.wifiEnabled, raw.highSpeedWifi);
+  const wifiProvider = inferWifiProvider({
+    airline: raw.ownerAirlineCode || airline,
+    sub_fleet: raw.subFleetCode,
+    type: raw.typeCode,
+    wifi,
+  });
+  
+  return {
+    registration: raw.registration,
+    icao24,
+    
+    aircraft_type: resolveAircraftType(raw.typeCode, raw.typeName),
+    
+    operator: {
+      sub_fleet_code: raw.subFleetCode,
+      owner: raw.ownerAirlineCode,
+      operating_airline: raw.operatingAirlineCode,
+      cabin_crew_employer: raw.cabinCrewEmployer,
+      cockpit_crew_employer: raw.cockpitCrewEmployer,
+    },
+    
+    cabin: {
+      physical_configuration: raw.physicalPaxConfiguration,
+      operational_configuration: null,
+      saleable_configuration: null,
+      total_seats: Object.values(cabinClasses).reduce((a, b) => a + b, 0) || null,
+      classes: cabinClasses,
+      freight_configuration: null,
+    },
+    
+    connectivity: {
+      wifi,
+      wifi_provider: wifiProvider,
+      wifi_provider_source: wifiProvider ? 'inferred' : null,
+      satellite: raw.satelliteConnectivity === 'Y',
+      live_tv: null,
+      power_outlets: null,
+      usb_ports: null,
+    },
+    
+    ife: {
+      type: null,
+      personal_screens: null,
+    },
+    
+    status: 'active',
+    
+    tracking: {
+      first_seen: firstSeenDate,
+      last_seen: firstSeenDate,
+      last_seen_source: 'airline_api',
+      adsb_last_seen: null,
+      total_flights: 0,
+      days_seen: 0,
+      counted_dates: [],
+    },
+    
+    metadata: {
+      delivery_date: null,
+      msn: null,
+      line_number: null,
+      production_site: null,
+      engine_type: null,
+      aircraft_name: null,
+      livery: null,
+      comments: null,
+      created_at: new Date().toISOString(),
+      updated_at: new Date().toISOString(),
+    },
+    
+    history: [],
+  };
+}
@@ -0,0 +1,637 @@
+/**
+ * Catalog update logic
+ *
+ * Merges fetched flights into an airline catalog: change detection, history,
+ * flight counters and lifecycle status. updateCatalog() ties it together and
+ * returns a structured result; it never writes to stdout.
+ */
+
+import path from 'path';
+import { getAircraftType } from './aircraft-types.js';
+import { getAirline } from './airlines.js';
+import { RateLimitError } from './api.js';
+import { sameCabinConfig } from './cabin.js';
+import { DEFAULT_CATALOG_DIR, loadCatalog, saveCatalog } from './catalog-io.js';
+import { clearCheckpoint, createCheckpointState, loadCheckpoint, saveCheckpoint } from './checkpoint.js';
+import { daysSince } from './dates.js';
+import { checkIcao24, loadIcao24Reference, lookupIcao24 } from './icao24.js';
+import { CURRENT_SCHEMA_VERSION } from './migrations/index.js';
+import {
+  DEFAULT_OVERRIDES_DIR,
+  applyOverrides,
+  findOverrideConflicts,
+  getProperty,
+  indexOverrides,
+  loadOverrides,
+  setProperty,
+} from './overrides.js';
+import { getSourceForAirline } from './sources/index.js';
+import { findLegConflicts, transformToSchema } from './transform.js';
+
+// A provider set by hand (scripts/wifi-providers.js --set) outlives the
+// inferred one; the fetched speed tier still applies
+function incomingConnectivity(existing, newData) {
+  if (existing.connectivity?.wifi_provider_source !== 'manual') return newData.connectivity;
+  return {
+    ...newData.connectivity,
+    wifi_provider: existing.connectivity.wifi_provider,
+    wifi_provider_source: 'manual',
+  };
+}
+
+// A flight brings stored and retired aircraft back into service; maintenance
+// is set by hand (or in overrides/) and only changed the same way
+function incomingStatus(existing, newData) {
+  return existing.status === 'maintenance' ? existing.status : newData.status;
+}
+
+/**
+ * Compare a catalog aircraft with freshly fetched data.
+ *
+ * @param {object} existing - Aircraft currently in the catalog
+ * @param {object} newData - Aircraft built by transformToSchema
+ * @param {string} dateStr - YYYY-MM-DD used as the history timestamp
+ * @returns {object[]} History entries, one per changed property
+ */
+export function detectChanges(existing, newData, dateStr) {
+  const changes = [];
+  const connectivity = incomingConnectivity(existing, newData);
+
+  if (existing.connectivity?.wifi !== newData.connectivity?.wifi) {
+    changes.push({
+      timestamp: dateStr,
+      property: 'connectivity.wifi',
+      old_value: existing.connectivity?.wifi,
+      new_value: newData.connectivity?.wifi,
+      source: 'airline_api',
+    });
+  }
+
+  if (existing.connectivity?.wifi_provider !== connectivity?.wifi_provider) {
+    changes.push({
+      timestamp: dateStr,
+      property: 'connectivity.wifi_provider',
+      old_value: existing.connectivity?.wifi_provider,
+      new_value: connectivity?.wifi_provider,
+      source: 'airline_api',
+    });
+  }
+
+  if (!sameCabinConfig(existing.cabin?.physical_configuration, newData.cabin?.physical_configuration)) {
+    changes.push({
+      timestamp: dateStr,
+      property: 'cabin.physical_configuration',
+      old_value: existing.cabin?.physical_configuration,
+      new_value: newData.cabin?.physical_configuration,
+      source: 'airline_api',
+    });
+  }
+
+  if (existing.operator?.sub_fleet_code !== newData.operator?.sub_fleet_code) {
+    changes.push({
+      timestamp: dateStr,
+      property: 'operator.sub_fleet_code',
+      old_value: existing.operator?.sub_fleet_code,
+      new_value: newData.operator?.sub_fleet_code,
+      source: 'airline_api',
+    });
+  }
+
+  const status = incomingStatus(existing, newData);
+  if (existing.status !== status) {
+    changes.push({
+      timestamp: dateStr,
+      property: 'status',
+      old_value: existing.status,
+      new_value: status,
+      source: 'airline_api',
+    });
+  }
+
+  return changes;
+}
+
+/**
+ * Move unseen aircraft down the active → stored → retired lifecycle.
+ * Aircraft in maintenance are set by hand and left alone. The history
+ * entries have source "inferred": the API never reports these statuses.
+ *
+ * @param {object[]} aircraft - Aircraft not seen in the current run
+ * @param {string} referenceDate - YYYY-MM-DD the idle time is measured to
+ * @param {{ storedDays: number, retiredDays: number }} thresholds
+ * @returns {{ aircraft: object, idleDays: number, change: object }[]}
+ */
+export function detectStatusTransitions(aircraft, referenceDate, thresholds) {
+  const transitions = [];
+
+  for (const a of aircraft) {
+    if (a.status !== 'active' && a.status !== 'stored') continue;
+
+    // Never seen at all: measured from when the aircraft was added
+    const since = a.tracking?.last_seen || a.tracking?.first_seen || a.metadata?.created_at?.slice(0, 10);
+    if (!since) continue;
+
+    const idleDays = daysSince(since, referenceDate);
+    let newStatus = a.status;
+    if (idleDays >= thresholds.retiredDays) newStatus = 'retired';
+    else if (idleDays >= thresholds.storedDays) newStatus = 'stored';
+
+    if (newStatus !== a.status) {
+      transitions.push({
+        aircraft: a,
+        idleDays,
+        change: {
+          timestamp: referenceDate,
+          property: 'status',
+          old_value: a.status,
+          new_value: newStatus,
+          source: 'inferred',
+        },
+      });
+    }
+  }
+
+  return transitions;
+}
+
+// Counters are only bumped the first time a date is applied to the catalog,
+// so re-running the same date refreshes properties without double counting.
+function recordSighting(aircraft, dateStr, flightCount, countSighting) {
+  const tracking = aircraft.tracking;
+  if (!tracking.first_seen || dateStr < tracking.first_seen) tracking.first_seen = dateStr;
+  if (!tracking.last_seen || dateStr > tracking.last_seen) {
+    tracking.last_seen = dateStr;
+    // ADS-B imports (lib/adsb.js) set this too
+    tracking.last_seen_source = 'airline_api';
+  }
+  
+  if (countSighting) {
+    tracking.total_flights = (tracking.total_flights || 0) + flightCount;
+    // Another airline's run (partner aircraft) or an earlier partial run of
+    // the date may already have counted this day, in any order of dates
+    const countedDates = tracking.counted_dates || [];
+    if (!countedDates.includes(dateStr)) {
+      tracking.days_seen = (tracking.days_seen || 0) + 1;
+      tracking.counted_dates = [...countedDates, dateStr].sort();
+    }
+  }
+}
+
+/**
+ * Apply fetched properties and their history entries to a catalog aircraft.
+ *
+ * @param {object} existing - Aircraft currently in the catalog (mutated)
+ * @param {object} newData - Aircraft built by transformToSchema
+ * @param {object[]} changes - Result of detectChanges
+ * @returns {object} The updated aircraft
+ */
+export function mergeAircraft(existing, newData, changes) {
+  // Only what the API reports; live_tv, power_outlets and usb_ports are kept
+  const { wifi, wifi_provider: wifiProvider, wifi_provider_source: wifiProviderSource, satellite } = incomingConnectivity(existing, newData);
+  existing.connectivity = {
+    ...existing.connectivity,
+    wifi,
+    wifi_provider: wifiProvider,
+    wifi_provider_source: wifiProviderSource,
+    satellite,
+  };
+  existing.cabin.physical_configuration = newData.cabin.physical_configuration;
+  existing.cabin.total_seats = newData.cabin.total_seats;
+  existing.cabin.classes = newData.cabin.classes;
+  existing.operator = newData.operator;
+  existing.aircraft_type = newData.aircraft_type;
+  existing.status = incomingStatus(existing, newData);
+  
+  existing.metadata.updated_at = new Date().toISOString();
+  
+  if (changes.length > 0) {
+    const existingKeys = new Set(
+      existing.history.map(h => `${h.timestamp}|${h.property}|${h.old_value}|${h.new_value}`)
+    );
+    
+    for (const change of changes) {
+      const key = `${change.timestamp}|${change.property}|${change.old_value}|${change.new_value}`;
+      if (!existingKeys.has(key)) {
+        existing.history.push(change);
+      }
+    }
+  }
+  
+  return existing;
+}
+
+// ============================================================================
+// Catalog Files
+// ============================================================================
+
+/**
+ * Create an empty catalog for an airline.
+ *
+ * @param {string} airlineCode - IATA code from reference/airlines.json
+ * @param {object} [fallback] - Used for airlines missing from the registry
+ *   (e.g. the owner of a partner aircraft)
+ * @param {string} [fallback.name]
+ * @returns {object}
+ */
+export function createCatalog(airlineCode, fallback = {}) {
+  const airline = getAirline(airlineCode)
+    || (fallback.name && { code: airlineCode, icaoCode: null, name: fallback.name, country: null });
+  if (!airline) throw new Error(`Unknown airline: ${airlineCode}`);
+
+  return {
+    schema_version: CURRENT_SCHEMA_VERSION,
+    airline: {
+      iata_code: airline.code,
+      icao_code: airline.icaoCode,
+      name: airline.name,
+      country: airline.country,
+    },
+    generated_at: new Date().toISOString(),
+    aircraft_count: 0,
+    processed_dates: [],
+    aircraft: [],
+  };
+}
+
+// ============================================================================
+// Update
+// ============================================================================
+
+function indexCatalog(catalog, catalogPath, touched = false) {
+  const byReg = new Map();
+  catalog.aircraft.forEach(a => byReg.set(a.registration, a));
+  return { catalog, catalogPath, byReg, touched };
+}
+
+function openCheckpoint(checkpointDir, { airline, dates, bootstrap, includePartners, resume }) {
+  const existing = loadCheckpoint(checkpointDir);
+  if (resume) {
+    if (!existing) throw new Error(`No checkpoint to resume in ${checkpointDir}`);
+    if (existing.state.airline !== airline) {
+      throw new Error(`Checkpoint in ${checkpointDir} is for ${existing.state.airline}, not ${airline}`);
+    }
+    return existing;
+  }
+  if (existing) {
+    throw new Error(`Unfinished ${airline} run in ${checkpointDir}: resume it or delete the checkpoint`);
+  }
+  return { state: createCheckpointState({ airline, dates, bootstrap, includePartners }), catalogs: {} };
+}
+
+/**
+ * Fetch flights for each date and merge the aircraft into an airline catalog.
+ *
+ * With includePartners, aircraft owned by other airlines (sub-carriers,
+ * wet-lease partners) are kept too and merged into their owner's catalog,
+ * next to catalogPath. Lifecycle transitions only apply to the queried
+ * airline's own catalog, where absence from its flights is meaningful.
+ *
+ * When the fetcher runs out of API keys (RateLimitError), no further dates
+ * are fetched. With a checkpointDir, nothing from the interrupted date is
+ * applied: progress is kept in the checkpoint, catalogs are only saved in
+ * place once every date is done, and `resume` continues from there.
+ * Without one, the partial date is applied and listed in the catalog's
+ * incomplete_dates, with the legs counted per aircraft in partial_counts so
+ * a later run that fetches the whole date counts only the rest.
+ * Incomplete dates are never the reference for lifecycle transitions,
+ * since a missing aircraft may just be on an unfetched page.
+ *
+ * @param {object} options
+ * @param {string} options.airline - IATA code (AF, KL)
+ * @param {string[]} options.dates - YYYY-MM-DD dates, processed in order (taken from the checkpoint when resuming)
+ * @param {function} [options.fetcher] - (dateStr, airlineCode, { onPage }) => Promise<flights[]>; defaults to the airline's source adapter
+ * @param {boolean} [options.dryRun] - Compute the result without touching the catalog or the file
+ * @param {boolean} [options.bootstrap] - Start from an empty catalog and skip lifecycle transitions
+ * @param {boolean} [options.includePartners] - Keep aircraft the airline does not own
+ * @param {string} [options.catalogPath] - Defaults to airlines/<CODE>.json
+ * @param {number} [options.storedDays] - Days unseen before an aircraft is marked stored
+ * @param {number} [options.retiredDays] - Days unseen before an aircraft is marked retired
+ * @param {string} [options.checkpointDir] - Record progress here (see lib/checkpoint.js)
+ * @param {boolean} [options.resume] - Continue the run saved in checkpointDir
+ * @param {object} [options.icao24Reference] - Registration → address table; defaults to reference/icao24.json
+ * @param {string} [options.overridesDir] - Manual overrides (see lib/overrides.js); defaults to overrides/
+ * @returns {Promise<object>} { airline, catalogPath, catalog, saved, savedPaths, days, new, updated, seen, stale, changes, conflicts, incomplete, icao24_filled, icao24_mismatches, unknown_types, overrides_applied, override_conflicts, overrides_missing, stopped, checkpoint }
+ */
+export async function updateCatalog(options) {
+  const {
+    airline,
+    fetcher,
+    dryRun = false,
+    catalogPath = path.join(DEFAULT_CATALOG_DIR, `${airline}.json`),
+    storedDays = 30,
+    retiredDays = 180,
+    checkpointDir = null,
+    resume = false,
+    icao24Reference = loadIcao24Reference(),
+    overridesDir = DEFAULT_OVERRIDES_DIR,
+  } = options;
+
+  if (!getAirline(airline)) throw new Error(`Unknown airline: ${airline}`);
+  if (resume && !checkpointDir) throw new Error('updateCatalog: resume requires a checkpointDir');
+  if (dryRun && checkpointDir) throw new Error('updateCatalog: dryRun cannot be checkpointed');
+
+  const checkpoint = checkpointDir ? openCheckpoint(checkpointDir, { ...options, resume }) : null;
+  const { dates, bootstrap = false, include_partners: includePartners = false } = checkpoint?.state
+    ?? { ...options, include_partners: options.includePartners };
+  if (!dates?.length) throw new Error('updateCatalog: at least one date is required');
+
+  const source = getSourceForAirline(airline);
+  const fetchFlights = fetcher || source.fetchFlights;
+
+  // Catalogs built by an interrupted run come back from the checkpoint
+  function openCatalog(code, codePath, ownerName) {
+    const saved = checkpoint?.catalogs[code];
+    if (saved) return indexCatalog(saved, codePath, true);
+    const fresh = code === airline && bootstrap;
+    const loaded = (!fresh && loadCatalog(codePath)) || createCatalog(code, { name: ownerName || code });
+    return indexCatalog(loaded, codePath);
+  }
+
+  // Catalogs touched by this run: the queried airline's, plus partner owners'
+  const catalogsByCode = new Map([[airline, openCatalog(airline, catalogPath)]]);
+  const catalog = catalogsByCode.get(airline).catalog;
+  function catalogFor(ownerCode, ownerName) {
+    if (!catalogsByCode.has(ownerCode)) {
+      const ownerPath = path.join(path.dirname(catalogPath), `${ownerCode}.json`);
+      catalogsByCode.set(ownerCode, openCatalog(ownerCode, ownerPath, ownerName));
+    }
+    return catalogsByCode.get(ownerCode);
+  }
+
+  // Overrides of each touched catalog, loaded up front so a broken file
+  // fails the run before anything is fetched
+  const overridesByCode = new Map();
+  function overridesFor(code) {
+    if (!overridesByCode.has(code)) overridesByCode.set(code, indexOverrides(loadOverrides(code, overridesDir)));
+    return overridesByCode.get(code);
+  }
+  overridesFor(airline);
+
+  // Dates whose flights have already been counted in tracking totals. Partner
+  // aircraft are counted against the queried airline's dates, since it is this
+  // airline's flights that are being applied.
+  const processedDates = new Set(catalog.processed_dates || []);
+  const incompleteDates = new Set(catalog.incomplete_dates || []);
+  const completeDates = new Set(checkpoint?.state.completed_dates || []);
+  // Dates only partly fetched are not processed yet: per registration, the
+  // legs already counted, so a later run fetching the whole day adds the rest
+  const partialCounts = { ...catalog.partial_counts };
+
+  function writeCatalogDates() {
+    catalog.processed_dates = [...processedDates].sort();
+    if (incompleteDates.size > 0) catalog.incomplete_dates = [...incompleteDates].sort();
+    else delete catalog.incomplete_dates;
+    if (Object.keys(partialCounts).length > 0) catalog.partial_counts = partialCounts;
+    else delete catalog.partial_counts;
+  }
+
+  function writeCheckpoint(withCatalogs) {
+    const catalogs = {};
+    for (const [code, entry] of catalogsByCode) {
+      checkpoint.state.catalog_paths[code] = entry.catalogPath;
+      if (entry.touched || code === airline) catalogs[code] = entry.catalog;
+    }
+    if (withCatalogs) writeCatalogDates();
+    saveCheckpoint(checkpointDir, checkpoint.state, withCatalogs ? catalogs : undefined);
+  }
+
+  // Page progress, so an interrupted crawl shows where it stopped
+  function onPage({ dateStr, pageNumber, totalPages }) {
+    checkpoint.state.pages[dateStr] = { fetched: pageNumber + 1, total_pages: totalPages };
+    writeCheckpoint(false);
+  }
+
+  const result = {
+    airline,
+    catalogPath,
+    catalog,
+    saved: false,
+    savedPaths: [],
+    days: [],
+    new: [],
+    updated: [],
+    seen: [],
+    stale: [],
+    changes: [],
+    conflicts: [],
+    incomplete: [],
+    icao24_filled: [],
+    icao24_mismatches: [],
+    unknown_types: [],
+    overrides_applied: [],
+    override_conflicts: [],
+    overrides_missing: [],
+    stopped: null,
+    checkpoint: checkpointDir,
+  };
+  const seenAircraftAll = new Set();
+  const icao24Checked = new Set();
+  const unknownTypes = new Map();
+  const overrideConflicts = new Map();
+
+  for (const dateStr of dates) {
+    if (completeDates.has(dateStr)) continue;
+
+    let flights;
+    let complete = true;
+    try {
+      flights = await fetchFlights(dateStr, airline, { onPage: checkpoint ? onPage : undefined });
+    } catch (error) {
+      if (!(error instanceof RateLimitError)) throw error;
+      result.stopped = { date: dateStr, page_number: error.pageNumber, reason: error.message };
+      if (checkpoint) break;
+      flights = error.flights;
+      complete = false;
+    }
+    const alreadyProcessed = processedDates.has(dateStr);
+    const countedLegs = partialCounts[dateStr] || {};
+
+    // Extract aircraft, counting every flight leg operated by each one.
+    // Later legs win, so an aircraft change revealed mid-flight is kept.
+    const seenToday = new Map();
+    const dayConflicts = [];
+    const legsByOwner = {};
+    for (const flight of flights) {
+      const legAircraft = source.extractAircraft(flight, airline, { includePartners: true });
+      legAircraft.forEach(a => {
+        const owner = a.ownerAirlineCode || 'unknown';
+        legsByOwner[owner] = (legsByOwner[owner] || 0) + 1;
+      });
+
+      const kept = includePartners ? legAircraft : legAircraft.filter(a => a.ownerAirlineCode === airline);
+      dayConflicts.push(...findLegConflicts(flight, kept));
+
+      for (const extracted of kept) {
+        const flightCount = (seenToday.get(extracted.registration)?.flightCount || 0) + 1;
+        seenToday.set(extracted.registration, { data: extracted, flightCount });
+        seenAircraftAll.add(extracted.registration);
+      }
+    }
+
+    result.days.push({
+      date: dateStr,
+      flights: flights.length,
+      aircraft: seenToday.size,
+      reprocessed: alreadyProcessed,
+      complete,
+      legs_by_owner: legsByOwner,
+    });
+    result.conflicts.push(...dayConflicts.map(c => ({ date: dateStr, ...c })));
+
+    for (const [reg, { data: rawData, flightCount }] of seenToday) {
+      const owner = rawData.ownerAirlineCode || airline;
+      const target = owner === airline ? catalogsByCode.get(airline) : catalogFor(owner, rawData.ownerAirlineName);
+      if (!getAircraftType(rawData.typeCode)) {
+        const key = rawData.typeCode || '';
+        if (!unknownTypes.has(key)) unknownTypes.set(key, { type_code: rawData.typeCode, type_name: rawData.typeName, registrations: new Set() });
+        unknownTypes.get(key).registrations.add(reg);
+      }
+
+      const address = lookupIcao24(reg, icao24Reference);
+      const newData = transformToSchema(rawData, dateStr, { icao24: address?.icao24 ?? null, airline: owner });
+      const existing = target.byReg.get(reg);
+
+      // Overridden properties are left to applyOverrides() below; the API's
+      // value is only compared, so it neither replaces them nor shows up as a change
+      const overrides = overridesFor(owner).get(reg);
+      if (overrides) {
+        for (const conflict of findOverrideConflicts(overrides, newData)) {
+          overrideConflicts.set(`${reg}|${conflict.property}`, { registration: reg, owner, date: dateStr, ...conflict });
+        }
+        if (existing) {
+          for (const property of overrides.keys()) setProperty(newData, property, getProperty(existing, property));
+        }
+      }
+
+      if (!existing) {
+        if (address && !icao24Checked.has(reg)) result.icao24_filled.push({ registration: reg, icao24: address.icao24, source: address.source });
+        icao24Checked.add(reg);
+        result.new.push({ registration: reg, owner, date: dateStr, type_code: rawData.typeCode, type_name: rawData.typeName });
+
+        if (!dryRun) {
+          recordSighting(newData, dateStr, flightCount, true);
+          target.catalog.aircraft.push(newData);
+          target.byReg.set(reg, newData);
+          target.touched = true;
+        }
+        continue;
+      }
+
+      if (!icao24Checked.has(reg)) {
+        icao24Checked.add(reg);
+        if (existing.icao24 === null && address) {
+          result.icao24_filled.push({ registration: reg, icao24: address.icao24, source: address.source });
+          if (!dryRun) existing.icao24 = address.icao24;
+        }
+        const problems = checkIcao24(reg, existing.icao24, icao24Reference);
+        if (problems.length > 0) result.icao24_mismatches.push({ registration: reg, icao24: existing.icao24, problems });
+      }
+
+      const changes = detectChanges(existing, newData, dateStr);
+
+      if (changes.length > 0) {
+        result.updated.push({ registration: reg, owner, date: dateStr, type_code: existing.aircraft_type?.iata_code || null, type_name: existing.aircraft_type?.full_name || null, changes });
+        result.changes.push(...changes.map(c => ({ registration: reg, ...c })));
+
+        if (!dryRun) mergeAircraft(existing, newData, changes);
+      } else {
+        result.seen.push({ registration: reg, owner, date: dateStr });
+      }
+
+      if (!dryRun) {
+        // Aircraft counted by an earlier partial run keep that day's count
+        const uncounted = Math.max(flightCount - (countedLegs[reg] || 0), 0);
+        recordSighting(existing, dateStr, uncounted, !alreadyProcessed);
+        target.touched = true;
+      }
+    }
+
+    if (!complete) result.incomplete.push(dateStr);
+
+    if (!dryRun) {
+      if (complete) {
+        processedDates.add(dateStr);
+        incompleteDates.delete(dateStr);
+        delete partialCounts[dateStr];
+      } else {
+        incompleteDates.add(dateStr);
+        if (!alreadyProcessed) {
+          const counted = { ...countedLegs };
+          for (const [reg, { flightCount }] of seenToday) counted[reg] = Math.max(flightCount, counted[reg] || 0);
+          partialCounts[dateStr] = counted;
+        }
+      }
+      catalog.schedule_by_owner = { ...catalog.schedule_by_owner, [dateStr]: legsByOwner };
+    }
+
+    if (!complete) break;
+    completeDates.add(dateStr);
+
+    if (checkpoint) {
+      checkpoint.state.completed_dates.push(dateStr);
+      writeCheckpoint(true);
+    }
+  }
+
+  // Type codes missing from reference/aircraft-types.json
+  result.unknown_types = [...unknownTypes.values()].map(t => ({ ...t, registrations: [...t.registrations].sort() }));
+
+  // Out of API keys: keep everything in the checkpoint for the resumed run
+  if (checkpoint && result.stopped) {
+    checkpoint.state.stopped = { ...result.stopped, at: new Date().toISOString() };
+    writeCheckpoint(true);
+    return result;
+  }
+
+  // Lifecycle transitions for aircraft not seen in this run, measured
+  // against its last fully fetched date
+  const referenceDate = dates.filter(d => completeDates.has(d)).pop();
+  if (!bootstrap && referenceDate) {
+    const statusOverridden = reg => overridesFor(airline).get(reg)?.has('status');
+    const notSeen = catalog.aircraft.filter(a => !seenAircraftAll.has(a.registration) && !statusOverridden(a.registration));
+    const transitions = detectStatusTransitions(notSeen, referenceDate, { storedDays, retiredDays });
+
+    for (const { aircraft, idleDays, change } of transitions) {
+      result.stale.push({
+        registration: aircraft.registration,
+        type_code: aircraft.aircraft_type?.iata_code || null,
+        type_name: aircraft.aircraft_type?.full_name || null,
+        last_seen: aircraft.tracking?.last_seen || null,
+        idle_days: idleDays,
+        change,
+      });
+      result.changes.push({ registration: aircraft.registration, ...change });
+
+      if (!dryRun) {
+        aircraft.status = change.new_value;
+        aircraft.history.push(change);
+        aircraft.metadata.updated_at = new Date().toISOString();
+        catalogsByCode.get(airline).touched = true;
+      }
+    }
+  }
+
+  // Overrides go last, so nothing fetched or derived above replaces them
+  result.override_conflicts = [...overrideConflicts.values()];
+  const overrideDate = referenceDate || dates[dates.length - 1];
+  for (const [code, entry] of catalogsByCode) {
+    const { applied, missing } = applyOverrides(entry.catalog, overridesFor(code), overrideDate, { dryRun });
+    result.overrides_applied.push(...applied.map(a => ({ owner: code, ...a })));
+    result.overrides_missing.push(...missing.map(registration => ({ owner: code, registration })));
+    result.changes.push(...applied);
+    if (applied.length > 0 && !dryRun) entry.touched = true;
+  }
+
+  if (!dryRun) {
+    writeCatalogDates();
+    for (const entry of catalogsByCode.values()) {
+      if (!entry.touched) continue;
+      saveCatalog(entry.catalogPath, entry.catalog);
+      result.savedPaths.push(entry.catalogPath);
+    }
+    result.saved = catalogsByCode.get(airline).touched;
+    if (checkpoint) clearCheckpoint(checkpointDir);
+  }
+
+  return result;
+}
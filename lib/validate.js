@@ -0,0 +1,222 @@
+/**
+ * Catalog validation
+ *
+ * Checks a catalog against schema/aircraft.schema.json (the JSON Schema
+ * subset it uses) and semantic rules the schema cannot express. Errors are
+ * { pointer, message } with a JSON pointer into the catalog.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { CURRENT_SCHEMA_VERSION, compareVersions } from './migrations/index.js';
+import { normalizeWifiProvider } from './wifi-providers.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const ROOT = path.join(__dirname, '..');
+
+// ============================================================================
+// JSON Schema (subset used by schema/aircraft.schema.json)
+// ============================================================================
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+const DATE_TIME_RE = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:\d{2})$/;
+
+function escapePointer(segment) {
+  return String(segment).replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  if (type === 'number') return actual === 'number' || actual === 'integer';
+  return actual === type;
+}
+
+function isValidDate(str) {
+  if (!DATE_RE.test(str)) return false;
+  const d = new Date(`${str}T00:00:00Z`);
+  return !isNaN(d) && d.toISOString().startsWith(str);
+}
+
+function checkFormat(value, format) {
+  if (format === 'date') return isValidDate(value);
+  if (format === 'date-time') return DATE_TIME_RE.test(value) && isValidDate(value.slice(0, 10));
+  return true;
+}
+
+function resolveRef(ref, rootSchema) {
+  if (!ref.startsWith('#/')) throw new Error(`Unsupported $ref: ${ref}`);
+  return ref.slice(2).split('/').reduce((node, key) => node?.[key.replace(/~1/g, '/').replace(/~0/g, '~')], rootSchema);
+}
+
+function validateSchema(value, schema, rootSchema, pointer = '', errors = []) {
+  if (schema.$ref) {
+    return validateSchema(value, resolveRef(schema.$ref, rootSchema), rootSchema, pointer, errors);
+  }
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(t => matchesType(value, t))) {
+      errors.push({ pointer, message: `expected ${types.join(' or ')}, got ${typeOf(value)}` });
+      return errors;
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({ pointer, message: `${JSON.stringify(value)} is not one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}` });
+  }
+
+  if (typeof value === 'string') {
+    if (schema.pattern && !new RegExp(schema.pattern, 'u').test(value)) {
+      errors.push({ pointer, message: `"${value}" does not match pattern ${schema.pattern}` });
+    }
+    if (schema.format && !checkFormat(value, schema.format)) {
+      errors.push({ pointer, message: `"${value}" is not a valid ${schema.format}` });
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    for (const key of schema.required || []) {
+      if (!(key in value)) {
+        errors.push({ pointer, message: `missing required property "${key}"` });
+      }
+    }
+    for (const [key, subSchema] of Object.entries(schema.properties || {})) {
+      if (key in value) {
+        validateSchema(value[key], subSchema, rootSchema, `${pointer}/${escapePointer(key)}`, errors);
+      }
+    }
+    if (typeOf(schema.additionalProperties) === 'object') {
+      for (const key of Object.keys(value)) {
+        if (schema.properties && key in schema.properties) continue;
+        validateSchema(value[key], schema.additionalProperties, rootSchema, `${pointer}/${escapePointer(key)}`, errors);
+      }
+    }
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, i) => validateSchema(item, schema.items, rootSchema, `${pointer}/${i}`, errors));
+  }
+
+  return errors;
+}
+
+// ============================================================================
+// Semantic Rules
+// ============================================================================
+
+/**
+ * @returns {Set<string>} Provider ids from reference/wifi-providers.json
+ */
+export function loadWifiProviders() {
+  const content = fs.readFileSync(path.join(ROOT, 'reference', 'wifi-providers.json'), 'utf-8');
+  const providers = JSON.parse(content).providers || [];
+  return new Set(providers.map(p => p.id));
+}
+
+function validateSemantics(catalog, wifiProviders) {
+  const errors = [];
+  const aircraft = Array.isArray(catalog.aircraft) ? catalog.aircraft : [];
+
+  if (/^\d+\.\d+\.\d+$/.test(catalog.schema_version) && catalog.schema_version !== CURRENT_SCHEMA_VERSION) {
+    const older = compareVersions(catalog.schema_version, CURRENT_SCHEMA_VERSION) < 0;
+    errors.push({
+      pointer: '/schema_version',
+      message: older
+        ? `schema_version ${catalog.schema_version} is older than ${CURRENT_SCHEMA_VERSION} (run npm run migrate)`
+        : `schema_version ${catalog.schema_version} is newer than ${CURRENT_SCHEMA_VERSION}, the newest this checkout supports`,
+    });
+  }
+
+  if (catalog.aircraft_count !== undefined && catalog.aircraft_count !== aircraft.length) {
+    errors.push({
+      pointer: '/aircraft_count',
+      message: `aircraft_count is ${catalog.aircraft_count} but aircraft has ${aircraft.length} entries`,
+    });
+  }
+
+  const firstIndexByReg = new Map();
+
+  aircraft.forEach((a, i) => {
+    const base = `/aircraft/${i}`;
+
+    if (a.registration) {
+      if (firstIndexByReg.has(a.registration)) {
+        errors.push({
+          pointer: `${base}/registration`,
+          message: `duplicate registration "${a.registration}" (first at /aircraft/${firstIndexByReg.get(a.registration)})`,
+        });
+      } else {
+        firstIndexByReg.set(a.registration, i);
+      }
+    }
+
+    const classes = a.cabin?.classes;
+    const totalSeats = a.cabin?.total_seats;
+    if (classes && totalSeats !== null && totalSeats !== undefined) {
+      const sum = Object.values(classes).reduce((acc, n) => acc + (Number.isInteger(n) ? n : 0), 0);
+      if (sum !== totalSeats) {
+        errors.push({
+          pointer: `${base}/cabin/total_seats`,
+          message: `total_seats is ${totalSeats} but cabin.classes sum to ${sum}`,
+        });
+      }
+    }
+
+    const firstSeen = a.tracking?.first_seen;
+    const lastSeen = a.tracking?.last_seen;
+    if (firstSeen && lastSeen && firstSeen > lastSeen) {
+      errors.push({
+        pointer: `${base}/tracking`,
+        message: `first_seen ${firstSeen} is after last_seen ${lastSeen}`,
+      });
+    }
+
+    const provider = a.connectivity?.wifi_provider;
+    if (provider && !wifiProviders.has(provider)) {
+      const id = normalizeWifiProvider(provider);
+      errors.push({
+        pointer: `${base}/connectivity/wifi_provider`,
+        message: wifiProviders.has(id)
+          ? `wifi_provider "${provider}" should be the reference id "${id}"`
+          : `unknown wifi_provider "${provider}" (not in reference/wifi-providers.json)`,
+      });
+    }
+  });
+
+  return errors;
+}
+
+// ============================================================================
+// Catalog
+// ============================================================================
+
+/**
+ * @returns {object} schema/aircraft.schema.json
+ */
+export function loadCatalogSchema() {
+  return JSON.parse(fs.readFileSync(path.join(ROOT, 'schema', 'aircraft.schema.json'), 'utf-8'));
+}
+
+/**
+ * Validate one catalog.
+ *
+ * @param {object} catalog
+ * @param {object} [options] - Loaded once by the caller when validating many catalogs
+ * @param {object} [options.schema] - Defaults to loadCatalogSchema()
+ * @param {Set<string>} [options.wifiProviders] - Defaults to loadWifiProviders()
+ * @returns {{ schemaErrors: object[], semanticErrors: object[] }}
+ */
+export function validateCatalog(catalog, { schema = loadCatalogSchema(), wifiProviders = loadWifiProviders() } = {}) {
+  return {
+    schemaErrors: validateSchema(catalog, schema, schema),
+    semanticErrors: validateSemantics(catalog, wifiProviders),
+  };
+}
@@ -0,0 +1,209 @@
+/**
+ * Webhook notifications
+ *
+ * Matches change feed events (lib/feed.js) against per-webhook rules and
+ * POSTs the matches as one signed JSON payload per webhook. Failed
+ * deliveries are retried with backoff, then written to a dead-letter file.
+ *
+ * Config (webhooks.json):
+ *   {
+ *     "dead_letter_file": "webhooks-dead-letter.jsonl",
+ *     "webhooks": [{
+ *       "id": "starlink",
+ *       "url": "https://example.com/hooks/fleet",
+ *       "secret_env": "FLEET_WEBHOOK_SECRET",
+ *       "rules": [{ "property": "connectivity.wifi", "to": "high-speed" }]
+ *     }]
+ *   }
+ *
+ * Rule fields (all optional, all given must match; an event matches a
+ * webhook when any of its rules matches). Each accepts a value or a list:
+ *   event      "new" or "change"
+ *   property   Changed property, e.g. "cabin.physical_configuration"
+ *   airline    IATA code
+ *   type       Aircraft IATA type code ("77W"), or part of the type name
+ *   from, to   Old and new values
+ *
+ * Signature: X-Fleet-Signature is "sha256=" + hex HMAC-SHA256 of
+ * `${X-Fleet-Timestamp}.${body}` with the webhook secret.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { backoffDelay, parseRetryAfter } from './key-pool.js';
+
+const RULE_FIELDS = ['event', 'property', 'airline', 'type', 'from', 'to'];
+
+/**
+ * Load and check a webhook config file.
+ *
+ * @param {string} configPath
+ * @returns {object|null} Config with dead_letter_file resolved, null if the file does not exist
+ */
+export function loadWebhookConfig(configPath) {
+  if (!fs.existsSync(configPath)) return null;
+
+  const config = JSON.parse(fs.readFileSync(configPath, 'utf-8'));
+  if (!Array.isArray(config.webhooks)) throw new Error(`${configPath}: "webhooks" must be an array`);
+
+  config.webhooks.forEach((webhook, i) => {
+    const where = `${configPath}: webhooks[${i}]`;
+    if (!webhook.id || !webhook.url) throw new Error(`${where} needs an id and a url`);
+    if (!Array.isArray(webhook.rules) || webhook.rules.length === 0) throw new Error(`${where} needs at least one rule`);
+    for (const rule of webhook.rules) {
+      const unknown = Object.keys(rule).filter(field => !RULE_FIELDS.includes(field));
+      if (unknown.length > 0) throw new Error(`${where}: unknown rule field ${unknown.join(', ')}`);
+    }
+  });
+
+  config.dead_letter_file = path.resolve(path.dirname(configPath), config.dead_letter_file || 'webhooks-dead-letter.jsonl');
+  return config;
+}
+
+function matchesValue(expected, actual) {
+  const options = Array.isArray(expected) ? expected : [expected];
+  return options.some(option => option === actual || (option !== null && actual !== null && String(option) === String(actual)));
+}
+
+function matchesType(expected, event) {
+  const options = Array.isArray(expected) ? expected : [expected];
+  return options.some(option => {
+    const wanted = String(option).toUpperCase();
+    return event.type_code?.toUpperCase() === wanted || event.type_name?.toUpperCase().includes(wanted);
+  });
+}
+
+/**
+ * @param {object} event - Change feed event
+ * @param {object} rule
+ * @returns {boolean}
+ */
+export function matchesRule(event, rule) {
+  if ('event' in rule && !matchesValue(rule.event, event.event)) return false;
+  if ('property' in rule && !matchesValue(rule.property, event.property)) return false;
+  if ('airline' in rule && !matchesValue(rule.airline, event.airline)) return false;
+  if ('type' in rule && !matchesType(rule.type, event)) return false;
+  if ('from' in rule && !matchesValue(rule.from, event.old_value)) return false;
+  if ('to' in rule && !matchesValue(rule.to, event.new_value)) return false;
+  return true;
+}
+
+/**
+ * @param {string} body - Raw request body
+ * @param {string} secret
+ * @param {string} timestamp - Value of X-Fleet-Timestamp
+ * @returns {string} Value of X-Fleet-Signature
+ */
+export function signPayload(body, secret, timestamp) {
+  return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+function webhookSecret(webhook) {
+  if (webhook.secret_env) {
+    const secret = process.env[webhook.secret_env];
+    if (!secret) throw new Error(`webhook "${webhook.id}": environment variable ${webhook.secret_env} is not set`);
+    return secret;
+  }
+  return webhook.secret || null;
+}
+
+/**
+ * POST a payload, retrying network errors, timeouts, 429 and 5xx responses.
+ *
+ * @param {object} webhook - { id, url, secret | secret_env }
+ * @param {object} payload
+ * @param {object} [options]
+ * @param {number} [options.maxAttempts]
+ * @param {number} [options.baseDelay] - First backoff delay (ms), doubled per attempt, with jitter
+ * @param {number} [options.maxDelay]
+ * @param {number} [options.timeout] - Per-attempt timeout (ms)
+ * @returns {Promise<{ ok: boolean, attempts: number, status: number|null, error: string|null }>}
+ */
+export async function deliverWebhook(webhook, payload, { maxAttempts = 5, baseDelay = 1000, maxDelay = 30000, timeout = 10000 } = {}) {
+  const body = JSON.stringify(payload);
+  const secret = webhookSecret(webhook);
+  let status = null;
+  let error = null;
+
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    const timestamp = String(Math.floor(Date.now() / 1000));
+    const headers = {
+      'Content-Type': 'application/json',
+      'User-Agent': 'fleet-catalog-webhooks',
+      'X-Fleet-Delivery': payload.delivery_id,
+      'X-Fleet-Timestamp': timestamp,
+    };
+    if (secret) headers['X-Fleet-Signature'] = signPayload(body, secret, timestamp);
+
+    let retryAfterMs = null;
+    try {
+      const response = await fetch(webhook.url, { method: 'POST', headers, body, signal: AbortSignal.timeout(timeout) });
+      status = response.status;
+      if (response.ok) return { ok: true, attempts: attempt, status, error: null };
+
+      error = `HTTP ${response.status}`;
+      // Other client errors will not get better by retrying
+      if (response.status < 500 && response.status !== 429) return { ok: false, attempts: attempt, status, error };
+      retryAfterMs = parseRetryAfter(response.headers.get('retry-after'));
+    } catch (err) {
+      status = null;
+      error = err.name === 'TimeoutError' ? `timed out after ${timeout}ms` : err.message;
+    }
+
+    if (attempt < maxAttempts) {
+      await new Promise(r => setTimeout(r, retryAfterMs ?? backoffDelay(attempt - 1, baseDelay, maxDelay)));
+    }
+  }
+
+  return { ok: false, attempts: maxAttempts, status, error };
+}
+
+/**
+ * Send each webhook the events matching its rules. Deliveries that still
+ * fail after retries are appended to the config's dead-letter file, with
+ * the payload, for later replay.
+ *
+ * @param {object[]} events - Change feed events
+ * @param {object} config - From loadWebhookConfig()
+ * @param {object} [options] - Passed to deliverWebhook()
+ * @returns {Promise<object[]>} One { webhook, events, ok, attempts, status, error } per webhook with matches
+ */
+export async function dispatchWebhooks(events, config, options = {}) {
+  const deliveries = [];
+
+  for (const webhook of config.webhooks) {
+    const matched = events.filter(event => webhook.rules.some(rule => matchesRule(event, rule)));
+    if (matched.length === 0) continue;
+
+    const payload = {
+      delivery_id: crypto.randomUUID(),
+      webhook: webhook.id,
+      sent_at: new Date().toISOString(),
+      events: matched,
+    };
+
+    let outcome;
+    try {
+      outcome = await deliverWebhook(webhook, payload, options);
+    } catch (error) {
+      outcome = { ok: false, attempts: 0, status: null, error: error.message };
+    }
+
+    if (!outcome.ok) {
+      fs.appendFileSync(config.dead_letter_file, JSON.stringify({
+        failed_at: new Date().toISOString(),
+        webhook: webhook.id,
+        url: webhook.url,
+        attempts: outcome.attempts,
+        status: outcome.status,
+        error: outcome.error,
+        payload,
+      }) + '\n');
+    }
+
+    deliveries.push({ webhook: webhook.id, events: matched.length, ...outcome });
+  }
+
+  return deliveries;
+}
@@ -0,0 +1,109 @@
+/**
+ * WiFi provider registry
+ *
+ * Loaded from reference/wifi-providers.json. Catalogs store
+ * connectivity.wifi_provider as a provider id ("starlink"); the flight API
+ * only reports a speed tier, so the provider is inferred from the file's
+ * inference_rules by airline, sub-fleet, type and tier. A provider set by
+ * hand (wifi_provider_source "manual") is kept by automated updates.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const WIFI_PROVIDERS_REFERENCE_PATH = path.join(__dirname, '..', 'reference', 'wifi-providers.json');
+
+const RULE_FIELDS = ['airline', 'sub_fleet', 'type', 'wifi'];
+
+function loadProviderRegistry(registryPath = WIFI_PROVIDERS_REFERENCE_PATH) {
+  const { providers = [], inference_rules: rules = [] } = JSON.parse(fs.readFileSync(registryPath, 'utf-8'));
+  const byId = Object.fromEntries(providers.map(p => [p.id, p]));
+  rules.forEach((rule, i) => {
+    if (!byId[rule.provider]) {
+      throw new Error(`${registryPath}: inference_rules[${i}] names unknown provider "${rule.provider}"`);
+    }
+  });
+  return { byId, rules };
+}
+
+const registry = loadProviderRegistry();
+
+// Provider entries keyed by id
+export const WIFI_PROVIDERS = registry.byId;
+
+// Rules in file order, first match wins
+export const WIFI_PROVIDER_RULES = registry.rules;
+
+/**
+ * @param {string|null} value - Provider id or display name ("starlink", "Starlink")
+ * @returns {object|null} { id, name, company, technology, speed_tier, ... }
+ */
+export function getWifiProvider(value) {
+  if (!value) return null;
+  const needle = String(value).toLowerCase();
+  return WIFI_PROVIDERS[needle]
+    || Object.values(WIFI_PROVIDERS).find(p => p.name.toLowerCase() === needle)
+    || null;
+}
+
+/**
+ * Reference id for a stored provider value; catalogs written before ids
+ * were used hold display names.
+ *
+ * @param {string|null} value
+ * @returns {string|null} The id, or the value unchanged when it is not a known provider
+ */
+export function normalizeWifiProvider(value) {
+  return getWifiProvider(value)?.id ?? value ?? null;
+}
+
+/**
+ * @param {string|null} value - Provider id
+ * @returns {string|null} Display name, or the value itself for unknown providers
+ */
+export function wifiProviderName(value) {
+  return getWifiProvider(value)?.name ?? value ?? null;
+}
+
+function ruleMatches(rule, facts) {
+  return RULE_FIELDS.every(field => {
+    if (rule[field] === undefined) return true;
+    const allowed = Array.isArray(rule[field]) ? rule[field] : [rule[field]];
+    return allowed.includes(facts[field]);
+  });
+}
+
+/**
+ * Provider id for an aircraft from the inference rules.
+ *
+ * @param {object} facts
+ * @param {string|null} facts.airline - Owner IATA code
+ * @param {string|null} facts.sub_fleet - operator.sub_fleet_code
+ * @param {string|null} facts.type - IATA type code
+ * @param {string} facts.wifi - none, low-speed or high-speed
+ * @param {object[]} [rules] - Defaults to the reference file's rules
+ * @returns {string|null} null when the aircraft has no WiFi or no rule matches
+ */
+export function inferWifiProvider(facts, rules = WIFI_PROVIDER_RULES) {
+  if (!facts.wifi || facts.wifi === 'none') return null;
+  return rules.find(rule => ruleMatches(rule, facts))?.provider ?? null;
+}
+
+/**
+ * Inference facts of a catalog aircraft.
+ *
+ * @param {object} aircraft - Catalog aircraft
+ * @param {string} [airlineCode] - Catalog airline, for aircraft without operator.owner
+ * @returns {object} { airline, sub_fleet, type, wifi }
+ */
+export function wifiProviderFacts(aircraft, airlineCode = null) {
+  return {
+    airline: aircraft.operator?.owner || airlineCode,
+    sub_fleet: aircraft.operator?.sub_fleet_code ?? null,
+    type: aircraft.aircraft_type?.iata_code ?? null,
+    wifi: aircraft.connectivity?.wifi || 'none',
+  };
+}
@@ -0,0 +1,125 @@
+#!/usr/bin/env node
+
+/**
+ * ADS-B Import
+ *
+ * Matches receiver logs against the catalogs by icao24 and updates
+ * tracking.last_seen from them (last_seen_source "adsb"), so an aircraft
+ * the airline API has not shown for a while is not marked stored while it
+ * is still flying. Stored or retired aircraft seen flying for their airline
+ * are made active again, with a history entry from source "adsb".
+ *
+ * Reads readsb/dump1090 aircraft.json and history_*.json snapshots, JSON
+ * Lines of them, SBS/BaseStation CSV (port 30003, e.g. from a Beast feed)
+ * and CSV with hex/callsign/time columns; .gz files are unpacked.
+ * Directories are searched recursively.
+ *
+ * Usage:
+ *   node scripts/import-adsb.js /var/log/readsb/              # All logs in a directory
+ *   node scripts/import-adsb.js aircraft.json sbs-2026-03-23.csv
+ *   node scripts/import-adsb.js logs/ --dry-run               # Report only
+ *   node scripts/import-adsb.js logs/ --json                  # Machine-readable report
+ *
+ * Aircraft seen under another airline's designator or a non-airline
+ * callsign are listed as anomalies; they are reported, never applied.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { applySightings, correlateSightings, parseAdsbLog } from '../lib/adsb.js';
+import { saveCatalog } from '../lib/catalog-io.js';
+import { loadAllCatalogs } from '../lib/query.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const AIRLINES_DIR = path.join(__dirname, '..', 'airlines');
+
+const LOG_FILE_RE = /\.(json|jsonl|csv|sbs|txt)(\.gz)?$/i;
+
+function listLogFiles(target) {
+  if (!fs.statSync(target).isDirectory()) return [target];
+  return fs.readdirSync(target, { withFileTypes: true })
+    .flatMap(entry => {
+      const entryPath = path.join(target, entry.name);
+      if (entry.isDirectory()) return listLogFiles(entryPath);
+      return LOG_FILE_RE.test(entry.name) ? [entryPath] : [];
+    })
+    .sort();
+}
+
+function main() {
+  const args = process.argv.slice(2);
+  const dryRun = args.includes('--dry-run');
+  const jsonOutput = args.includes('--json');
+  const targets = args.filter(a => !a.startsWith('--'));
+
+  if (targets.length === 0) {
+    console.error('Usage: node scripts/import-adsb.js <log file or directory>... [--dry-run] [--json]');
+    process.exit(1);
+  }
+
+  const log = jsonOutput ? () => {} : console.log;
+  log('\n📡 ADS-B import\n');
+  if (dryRun) {
+    log('   🔍 DRY RUN - no changes will be saved\n');
+  }
+
+  const sightings = [];
+  for (const target of targets) {
+    if (!fs.existsSync(target)) {
+      console.error(`❌ Not found: ${target}`);
+      process.exit(1);
+    }
+    for (const file of listLogFiles(target)) {
+      try {
+        const fileSightings = parseAdsbLog(fs.readFileSync(file), file);
+        sightings.push(...fileSightings);
+        log(`📄 ${file}: ${fileSightings.length} sightings`);
+      } catch (error) {
+        log(`⚠️  ${file}: skipped (${error.message})`);
+      }
+    }
+  }
+
+  const catalogs = loadAllCatalogs();
+  const { matched, unmatched } = correlateSightings(sightings, catalogs);
+  const results = matched.map(match => applySightings(match, { dryRun }));
+
+  const advanced = results.filter(r => r.advanced);
+  const reactivated = results.filter(r => r.reactivated);
+  const anomalies = results.filter(r => r.anomalies.length > 0);
+
+  if (jsonOutput) {
+    console.log(JSON.stringify({ sightings: sightings.length, unmatched_addresses: unmatched, aircraft: results }, null, 2));
+  } else {
+    log(`\n✈️  ${matched.length} catalog aircraft seen (${unmatched} other addresses)`);
+    log(`   last_seen moved forward: ${advanced.length}`);
+    advanced.forEach(r => log(`   - ${r.registration} (${r.airline}): ${r.previous_last_seen || 'never'} → ${r.last_seen}`));
+
+    if (reactivated.length > 0) {
+      log(`\n🔁 Back in service: ${reactivated.length}`);
+      reactivated.forEach(r => log(`   - ${r.registration}: ${r.reactivated.old_value} → active (${r.last_seen})`));
+    }
+
+    if (anomalies.length > 0) {
+      log(`\n⚠️  Seen under another callsign or operator: ${anomalies.length}`);
+      for (const r of anomalies) {
+        const detail = r.anomalies.map(a => (a.kind === 'operator'
+          ? `${a.callsign} (${a.operator || a.designator})`
+          : `${a.callsign} (not a flight number)`));
+        log(`   - ${r.registration} (${r.airline}): ${detail.join(', ')}`);
+      }
+    }
+  }
+
+  if (!dryRun) {
+    const touched = new Set(results.map(r => r.airline));
+    for (const code of touched) {
+      saveCatalog(path.join(AIRLINES_DIR, `${code}.json`), catalogs[code]);
+    }
+  }
+
+  log(dryRun ? '\n🔍 Dry run complete - no changes saved\n' : '\n✅ Done!\n');
+}
+
+main();
@@ -0,0 +1,164 @@
+#!/usr/bin/env node
+
+/**
+ * ICAO24 Import
+ *
+ * Imports registration → Mode-S address pairs from a registry CSV dump (an
+ * ICAO aircraft database export, OpenSky's aircraftDatabase.csv, a national
+ * register) into reference/icao24.json, then fills in catalog aircraft
+ * whose icao24 is still null. F-G and F-H addresses are derived from the
+ * registration when the table has no entry.
+ *
+ * Catalog values that disagree with the table, the French allocation
+ * formula or the national address block are reported, never overwritten.
+ *
+ * Usage:
+ *   node scripts/import-icao24.js --csv aircraftDatabase.csv   # Import, then fill catalogs
+ *   node scripts/import-icao24.js                              # Fill catalogs from the table only
+ *   node scripts/import-icao24.js --csv dump.csv --all         # Keep every registration, not only
+ *                                                              # our airlines' countries
+ *   node scripts/import-icao24.js --dry-run                    # Report only
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { AIRLINES } from '../lib/airlines.js';
+import {
+  DEFAULT_ICAO24_PATH,
+  checkIcao24,
+  loadIcao24Reference,
+  lookupIcao24,
+  parseRegistryCsv,
+  saveIcao24Reference,
+} from '../lib/icao24.js';
+import { parseCatalog } from '../lib/migrations/index.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const AIRLINES_DIR = path.join(__dirname, '..', 'airlines');
+
+function loadCatalogFiles() {
+  return fs.readdirSync(AIRLINES_DIR)
+    .filter(f => f.endsWith('.json'))
+    .sort()
+    .map(file => {
+      const catalogPath = path.join(AIRLINES_DIR, file);
+      return { file, catalogPath, catalog: parseCatalog(fs.readFileSync(catalogPath, 'utf-8'), catalogPath) };
+    });
+}
+
+// Registry dumps cover every country; keep our airlines' registration
+// prefixes plus anything already in a catalog (partner aircraft)
+function registrationFilter(catalogs) {
+  const prefixes = Object.values(AIRLINES)
+    .map(a => a.registrationPrefix?.replace('-', ''))
+    .filter(Boolean);
+  const known = new Set(catalogs.flatMap(({ catalog }) => catalog.aircraft.map(a => a.registration)));
+  return reg => known.has(reg) || prefixes.some(prefix => reg.startsWith(prefix));
+}
+
+function importCsv(csvPath, reference, { keep }) {
+  const { rows, skipped } = parseRegistryCsv(fs.readFileSync(csvPath, 'utf-8'));
+  const added = [];
+  const changed = [];
+  let ignored = 0;
+
+  for (const [reg, hex] of rows) {
+    if (!keep(reg)) {
+      ignored++;
+      continue;
+    }
+    const previous = reference.registrations[reg];
+    if (previous === hex) continue;
+    if (previous) changed.push({ registration: reg, from: previous, to: hex });
+    else added.push(reg);
+    reference.registrations[reg] = hex;
+  }
+
+  console.log(`📄 ${path.basename(csvPath)}: ${rows.size} registrations (${skipped} rows without both values, ${ignored} outside our fleets)`);
+  console.log(`   Added: ${added.length}`);
+  if (changed.length > 0) {
+    console.log(`   ⚠️  Changed: ${changed.length} (registration re-used or re-registered?)`);
+    changed.forEach(c => console.log(`      ${c.registration}: ${c.from} → ${c.to}`));
+  }
+
+  if (added.length > 0 || changed.length > 0) {
+    reference.updated_at = new Date().toISOString();
+    reference.sources = [
+      ...(reference.sources || []),
+      { file: path.basename(csvPath), imported_at: reference.updated_at, added: added.length, changed: changed.length },
+    ];
+  }
+  return added.length + changed.length;
+}
+
+function fillCatalog(catalog, reference) {
+  const filled = [];
+  const mismatches = [];
+
+  for (const aircraft of catalog.aircraft) {
+    if (aircraft.icao24 === null || aircraft.icao24 === undefined) {
+      const address = lookupIcao24(aircraft.registration, reference);
+      if (address) {
+        aircraft.icao24 = address.icao24;
+        filled.push({ registration: aircraft.registration, ...address });
+      }
+      continue;
+    }
+    const problems = checkIcao24(aircraft.registration, aircraft.icao24, reference);
+    if (problems.length > 0) mismatches.push({ registration: aircraft.registration, problems });
+  }
+
+  return { filled, mismatches };
+}
+
+function main() {
+  const args = process.argv.slice(2);
+  const dryRun = args.includes('--dry-run');
+  const keepAll = args.includes('--all');
+  const csvArg = args.find((_, i) => args[i - 1] === '--csv');
+
+  console.log('\n📡 ICAO24 import\n');
+  if (dryRun) {
+    console.log('   🔍 DRY RUN - no changes will be saved\n');
+  }
+
+  const catalogs = loadCatalogFiles();
+  const reference = loadIcao24Reference();
+
+  if (csvArg) {
+    if (!fs.existsSync(csvArg)) {
+      console.error(`❌ File not found: ${csvArg}`);
+      process.exit(1);
+    }
+    const imported = importCsv(csvArg, reference, { keep: keepAll ? () => true : registrationFilter(catalogs) });
+    if (!dryRun && imported > 0) {
+      saveIcao24Reference(reference);
+      console.log(`   💾 Saved ${path.relative(process.cwd(), DEFAULT_ICAO24_PATH)}`);
+    }
+    console.log();
+  }
+
+  let mismatchCount = 0;
+  for (const { file, catalogPath, catalog } of catalogs) {
+    const { filled, mismatches } = fillCatalog(catalog, reference);
+    const missing = catalog.aircraft.filter(a => !a.icao24).length;
+    const fromTable = filled.filter(f => f.source === 'reference').length;
+
+    console.log(`📂 ${file}: ${filled.length} filled (${fromTable} from the table, ${filled.length - fromTable} derived), ${missing} still unknown`);
+    if (mismatches.length > 0) {
+      console.log(`   ⚠️  ${mismatches.length} mismatches:`);
+      mismatches.forEach(m => console.log(`      ${m.registration}: ${m.problems.join('; ')}`));
+    }
+    mismatchCount += mismatches.length;
+
+    if (!dryRun && filled.length > 0) {
+      fs.writeFileSync(catalogPath, JSON.stringify(catalog, null, 2));
+    }
+  }
+
+  console.log(dryRun ? '\n🔍 Dry run complete - no changes saved\n' : '\n✅ Done!\n');
+  if (mismatchCount > 0) process.exit(1);
+}
+
+main();
@@ -0,0 +1,102 @@
+#!/usr/bin/env node
+
+/**
+ * PlaneSpotters Metadata Import
+ *
+ * Fills metadata.msn, line_number, delivery_date, production_site,
+ * engine_type, aircraft_name and livery from a local PlaneSpotters-style
+ * export or registry dump keyed by registration (CSV or JSON), with a
+ * history entry from source "planespotters" for every value set.
+ *
+ * Empty fields are filled; values that differ from the catalog are
+ * reported and only replaced with --overwrite. Properties set in
+ * overrides/<CODE>.json are left to the override.
+ *
+ * Usage:
+ *   node scripts/import-planespotters.js af-fleet.csv                # Fill empty fields
+ *   node scripts/import-planespotters.js kl-fleet.json --dry-run     # Report only
+ *   node scripts/import-planespotters.js export.csv --overwrite      # Also replace differing values
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { indexOverrides, loadOverrides } from '../lib/overrides.js';
+import { applyMetadata, parseMetadataExport } from '../lib/planespotters.js';
+import { loadAllCatalogs } from '../lib/query.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const AIRLINES_DIR = path.join(__dirname, '..', 'airlines');
+
+function main() {
+  const args = process.argv.slice(2);
+  const dryRun = args.includes('--dry-run');
+  const overwrite = args.includes('--overwrite');
+  const files = args.filter(a => !a.startsWith('--'));
+
+  if (files.length === 0) {
+    console.error('Usage: node scripts/import-planespotters.js <export.csv|export.json>... [--dry-run] [--overwrite]');
+    process.exit(1);
+  }
+
+  console.log('\n🏷️  PlaneSpotters metadata import\n');
+  if (dryRun) {
+    console.log('   🔍 DRY RUN - no changes will be saved\n');
+  }
+
+  const records = new Map();
+  for (const file of files) {
+    if (!fs.existsSync(file)) {
+      console.error(`❌ File not found: ${file}`);
+      process.exit(1);
+    }
+    const parsed = parseMetadataExport(fs.readFileSync(file, 'utf-8'), file);
+    console.log(`📄 ${path.basename(file)}: ${parsed.records.size} registrations (${parsed.skipped} records without one)`);
+    parsed.invalid.forEach(i => console.log(`   ⚠️  ${i.registration}: unreadable ${i.field} "${i.value}"`));
+    for (const [reg, fields] of parsed.records) records.set(reg, { ...records.get(reg), ...fields });
+  }
+
+  const today = new Date().toISOString().split('T')[0];
+  const catalogs = loadAllCatalogs();
+  const matched = new Set();
+
+  for (const [code, catalog] of Object.entries(catalogs)) {
+    const overrides = indexOverrides(loadOverrides(code));
+    const updated = [];
+    const differing = [];
+
+    for (const aircraft of catalog.aircraft) {
+      const fields = records.get(aircraft.registration);
+      if (!fields) continue;
+      matched.add(aircraft.registration);
+
+      const locked = new Set(overrides.get(aircraft.registration)?.keys() || []);
+      const { changes, differences } = applyMetadata(aircraft, fields, today, { dryRun, overwrite, locked });
+      if (changes.length > 0) updated.push({ registration: aircraft.registration, changes });
+      if (differences.length > 0) differing.push({ registration: aircraft.registration, differences });
+    }
+
+    const fieldCount = updated.reduce((sum, u) => sum + u.changes.length, 0);
+    console.log(`\n📂 ${code}: ${updated.length} aircraft updated (${fieldCount} fields)`);
+    for (const u of updated) {
+      console.log(`   - ${u.registration}: ${u.changes.map(c => `${c.property.replace('metadata.', '')}=${c.new_value}`).join(', ')}`);
+    }
+    if (differing.length > 0) {
+      console.log(`   ⚠️  ${differing.length} aircraft differ from the export (kept; use --overwrite to replace):`);
+      for (const d of differing) {
+        console.log(`      ${d.registration}: ${d.differences.map(x => `${x.property.replace('metadata.', '')} ${x.catalog_value} ≠ ${x.export_value}`).join(', ')}`);
+      }
+    }
+
+    if (!dryRun && updated.length > 0) {
+      fs.writeFileSync(path.join(AIRLINES_DIR, `${code}.json`), JSON.stringify(catalog, null, 2));
+    }
+  }
+
+  const unmatched = [...records.keys()].filter(reg => !matched.has(reg));
+  console.log(`\n✈️  ${matched.size} export registrations matched, ${unmatched.length} not in any catalog`);
+
+  console.log(dryRun ? '\n🔍 Dry run complete - no changes saved\n' : '\n✅ Done!\n');
+}
+
+main();
@@ -0,0 +1,74 @@
+#!/usr/bin/env node
+
+/**
+ * Catalog Migration
+ *
+ * Rewrites catalog files in the current schema version, running the
+ * migrations in lib/migrations/ that are newer than each file's
+ * schema_version. Catalogs are migrated in memory whenever they are
+ * loaded anyway; this makes the files themselves current, e.g. before
+ * committing a schema bump.
+ *
+ * Usage:
+ *   node scripts/migrate.js                     # Migrate airlines/*.json
+ *   node scripts/migrate.js airlines/KL.json    # Migrate specific files
+ *   node scripts/migrate.js --dry-run           # Report only
+ *
+ * Exits 1 when a catalog is from a newer schema than this checkout.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { CURRENT_SCHEMA_VERSION, migrateCatalog } from '../lib/migrations/index.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const ROOT = path.join(__dirname, '..');
+
+function main() {
+  const args = process.argv.slice(2);
+  const dryRun = args.includes('--dry-run');
+  const targets = args.filter(a => !a.startsWith('--'));
+
+  console.log(`\n🧬 Migrating catalogs to schema ${CURRENT_SCHEMA_VERSION}\n`);
+  if (dryRun) {
+    console.log('   🔍 DRY RUN - no changes will be saved\n');
+  }
+
+  const airlinesDir = path.join(ROOT, 'airlines');
+  const files = targets.length > 0
+    ? targets.map(f => path.resolve(f))
+    : fs.readdirSync(airlinesDir).filter(f => f.endsWith('.json')).sort().map(f => path.join(airlinesDir, f));
+
+  let failed = false;
+  for (const file of files) {
+    const relPath = path.relative(ROOT, file);
+    const catalog = JSON.parse(fs.readFileSync(file, 'utf-8'));
+    const from = catalog.schema_version || '(none)';
+
+    let applied;
+    try {
+      applied = migrateCatalog(catalog, { label: relPath });
+    } catch (error) {
+      console.log(`❌ ${error.message}`);
+      failed = true;
+      continue;
+    }
+
+    if (applied.length === 0) {
+      console.log(`✅ ${relPath}: already ${CURRENT_SCHEMA_VERSION}`);
+      continue;
+    }
+
+    console.log(`🔄 ${relPath}: ${from} → ${catalog.schema_version}`);
+    applied.forEach(m => console.log(`   ${m.version}: ${m.description}`));
+    if (!dryRun) {
+      fs.writeFileSync(file, JSON.stringify(catalog, null, 2));
+    }
+  }
+
+  console.log(dryRun ? '\n🔍 Dry run complete - no changes saved\n' : '\n✅ Done!\n');
+  if (failed) process.exit(1);
+}
+
+main();
@@ -0,0 +1,105 @@
+#!/usr/bin/env node
+
+/**
+ * Partner Share Report
+ *
+ * Shows how much of each airline's schedule is flown by aircraft it does not
+ * own (sub-carriers such as HOP! or KLM Cityhopper, Transavia, wet-lease
+ * partners). Reads the per-date leg counts the updater records in each
+ * catalog's `schedule_by_owner`, so it runs fully offline.
+ *
+ * Usage:
+ *   node scripts/partner-report.js                          # All airlines, all dates
+ *   node scripts/partner-report.js --airline KL             # One airline
+ *   node scripts/partner-report.js --dates 2026-03-01..     # Date range
+ *   node scripts/partner-report.js --json                   # Machine-readable
+ */
+
+import { loadAllCatalogs, parseDateRange } from '../lib/query.js';
+
+function summarize(catalog, { from, to }) {
+  const legsByOwner = {};
+  const dates = Object.keys(catalog.schedule_by_owner || {})
+    .filter(d => (!from || d >= from) && (!to || d <= to))
+    .sort();
+
+  for (const date of dates) {
+    for (const [owner, legs] of Object.entries(catalog.schedule_by_owner[date])) {
+      legsByOwner[owner] = (legsByOwner[owner] || 0) + legs;
+    }
+  }
+
+  const totalLegs = Object.values(legsByOwner).reduce((sum, n) => sum + n, 0);
+  const owners = Object.entries(legsByOwner)
+    .sort((a, b) => b[1] - a[1])
+    .map(([owner, legs]) => ({ owner, legs, share: totalLegs ? legs / totalLegs : 0 }));
+
+  return { from: dates[0] || null, to: dates[dates.length - 1] || null, days: dates.length, total_legs: totalLegs, owners };
+}
+
+function printSummary(code, catalog, summary) {
+  console.log(`✈️  ${code} - ${catalog.airline?.name || code}`);
+
+  if (summary.days === 0) {
+    console.log('   No schedule data (run fleet-update.js to record it)\n');
+    return;
+  }
+
+  const own = summary.owners.find(o => o.owner === code);
+  const ownShare = own ? own.share : 0;
+  console.log(`   ${summary.from} → ${summary.to} (${summary.days} days, ${summary.total_legs} legs)`);
+  console.log(`   Flown by own aircraft:   ${Math.round(ownShare * 100)}%`);
+  console.log(`   Flown by other owners:   ${Math.round((1 - ownShare) * 100)}%`);
+
+  for (const { owner, legs, share } of summary.owners) {
+    const name = owner === code ? `${owner} (own)` : owner;
+    console.log(`     ${name.padEnd(10)} ${String(legs).padStart(7)} legs  ${(share * 100).toFixed(1).padStart(5)}%`);
+  }
+  console.log();
+}
+
+function main() {
+  const args = process.argv.slice(2);
+
+  if (args.includes('--help') || args.includes('-h')) {
+    console.log(`
+📊 Partner Share Report
+
+Usage:
+  node scripts/partner-report.js [--airline <CODE>] [--dates FROM..TO] [--json]
+`);
+    process.exit(0);
+  }
+
+  const airlineArg = args.find((_, i) => args[i - 1] === '--airline');
+  const datesArg = args.find((_, i) => args[i - 1] === '--dates');
+  const range = datesArg ? parseDateRange(datesArg) : { from: null, to: null };
+
+  const catalogs = loadAllCatalogs();
+  const codes = airlineArg
+    ? [airlineArg.toUpperCase()]
+    : Object.keys(catalogs).filter(code => catalogs[code].schedule_by_owner);
+
+  for (const code of codes) {
+    if (!catalogs[code]) throw new Error(`No catalog for airline: ${code}`);
+  }
+
+  if (args.includes('--json')) {
+    const report = Object.fromEntries(codes.map(code => [code, summarize(catalogs[code], range)]));
+    console.log(JSON.stringify(report, null, 2));
+    return;
+  }
+
+  console.log('\n📊 Share of schedule flown by aircraft each airline does not own\n');
+  if (codes.length === 0) {
+    console.log('   No schedule data yet (run fleet-update.js to record it)\n');
+  }
+  codes.forEach(code => printSummary(code, catalogs[code], summarize(catalogs[code], range)));
+}
+
+try {
+  main();
+} catch (error) {
+  console.error(`\n❌ Error: ${error.message}`);
+  process.exit(1);
+}
@@ -0,0 +1,74 @@
+#!/usr/bin/env node
+
+/**
+ * Repair Cabin Configuration History
+ *
+ * One-off cleanup for the fake cabin refits recorded before detectChanges
+ * compared configurations by seat count. Removes every
+ * `cabin.physical_configuration` history entry whose old and new values only
+ * differ in zero-padding (e.g. "C018M246" → "C18M246" and back).
+ *
+ * Usage:
+ *   node scripts/repair-cabin-history.js             # Repair airlines/*.json
+ *   node scripts/repair-cabin-history.js --dry-run   # Report only
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { sameCabinConfig } from '../lib/cabin.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const AIRLINES_DIR = path.join(__dirname, '..', 'airlines');
+
+function isPaddingOnlyChange(entry) {
+  return entry.property === 'cabin.physical_configuration'
+    && sameCabinConfig(entry.old_value, entry.new_value);
+}
+
+function repairCatalog(catalog) {
+  const repaired = [];
+
+  for (const aircraft of catalog.aircraft) {
+    const history = aircraft.history || [];
+    const kept = history.filter(entry => !isPaddingOnlyChange(entry));
+    const removed = history.length - kept.length;
+
+    if (removed > 0) {
+      aircraft.history = kept;
+      repaired.push({ registration: aircraft.registration, removed });
+    }
+  }
+
+  return repaired;
+}
+
+function main() {
+  const args = process.argv.slice(2);
+  const dryRun = args.includes('--dry-run');
+
+  console.log('\n🔧 Repairing cabin configuration history\n');
+  if (dryRun) {
+    console.log('   🔍 DRY RUN - no changes will be saved\n');
+  }
+
+  const files = fs.readdirSync(AIRLINES_DIR).filter(f => f.endsWith('.json'));
+
+  for (const file of files) {
+    const catalogPath = path.join(AIRLINES_DIR, file);
+    const catalog = JSON.parse(fs.readFileSync(catalogPath, 'utf-8'));
+    const repaired = repairCatalog(catalog);
+    const totalRemoved = repaired.reduce((sum, r) => sum + r.removed, 0);
+
+    console.log(`📂 ${file}: ${totalRemoved} entries removed from ${repaired.length} aircraft`);
+    repaired.forEach(r => console.log(`   - ${r.registration}: ${r.removed}`));
+
+    if (!dryRun && totalRemoved > 0) {
+      fs.writeFileSync(catalogPath, JSON.stringify(catalog, null, 2));
+    }
+  }
+
+  console.log(dryRun ? '\n🔍 Dry run complete - no changes saved\n' : '\n✅ Done!\n');
+}
+
+main();
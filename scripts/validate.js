@@ -0,0 +1,133 @@
+#!/usr/bin/env node
+
+/**
+ * Fleet Catalog Validator
+ *
+ * Validates airline catalogs against schema/aircraft.schema.json and checks
+ * semantic rules the schema cannot express. Runs fully offline.
+ *
+ * Usage:
+ *   node scripts/validate.js                     # Validate airlines/*.json
+ *   node scripts/validate.js airlines/KL.json    # Validate specific files
+ *
+ * Exit codes (combined as a bitmask when both kinds of error are found):
+ *   0 - All catalogs valid
+ *   1 - Schema violations
+ *   2 - Semantic violations
+ *   4 - A catalog or the schema could not be read
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { loadCatalogSchema, loadWifiProviders, validateCatalog } from '../lib/validate.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const ROOT = path.join(__dirname, '..');
+
+const EXIT_SCHEMA = 1;
+const EXIT_SEMANTIC = 2;
+const EXIT_UNREADABLE = 4;
+
+// ============================================================================
+// Report
+// ============================================================================
+
+function groupByAircraft(errors, catalog) {
+  const groups = new Map();
+  for (const error of errors) {
+    const match = error.pointer.match(/^\/aircraft\/(\d+)(\/|$)/);
+    const label = match
+      ? `${catalog.aircraft?.[match[1]]?.registration || '(no registration)'} [/aircraft/${match[1]}]`
+      : '(catalog)';
+    if (!groups.has(label)) groups.set(label, []);
+    groups.get(label).push(error);
+  }
+  return groups;
+}
+
+function printErrors(title, errors, catalog) {
+  if (errors.length === 0) return;
+  console.log(`   ${title}: ${errors.length}`);
+  for (const [label, group] of groupByAircraft(errors, catalog)) {
+    console.log(`     ✈️  ${label}`);
+    group.forEach(e => console.log(`        ${e.pointer || '/'}: ${e.message}`));
+  }
+}
+
+// ============================================================================
+// Main
+// ============================================================================
+
+function printHelp() {
+  console.log(`
+✅ Fleet Catalog Validator
+
+Usage:
+  node scripts/validate.js [file ...]
+
+Validates airlines/*.json when no files are given.
+
+Exit codes:
+  0  All catalogs valid
+  1  Schema violations
+  2  Semantic violations (1 + 2 = 3 when both are found)
+  4  A catalog or the schema could not be read
+`);
+}
+
+function main() {
+  const args = process.argv.slice(2);
+
+  if (args.includes('--help') || args.includes('-h')) {
+    printHelp();
+    process.exit(0);
+  }
+
+  const schema = loadCatalogSchema();
+  const wifiProviders = loadWifiProviders();
+
+  const airlinesDir = path.join(ROOT, 'airlines');
+  const files = args.length > 0
+    ? args.map(f => path.resolve(f))
+    : fs.readdirSync(airlinesDir).filter(f => f.endsWith('.json')).map(f => path.join(airlinesDir, f));
+
+  let exitCode = 0;
+
+  for (const file of files) {
+    const relPath = path.relative(ROOT, file);
+    let catalog;
+    try {
+      catalog = JSON.parse(fs.readFileSync(file, 'utf-8'));
+    } catch (error) {
+      console.log(`❌ ${relPath}: ${error.message}\n`);
+      exitCode |= EXIT_UNREADABLE;
+      continue;
+    }
+
+    const { schemaErrors, semanticErrors } = validateCatalog(catalog, { schema, wifiProviders });
+
+    if (schemaErrors.length === 0 && semanticErrors.length === 0) {
+      console.log(`✅ ${relPath}: ${catalog.aircraft?.length ?? 0} aircraft valid\n`);
+      continue;
+    }
+
+    console.log(`❌ ${relPath}`);
+    printErrors('Schema violations', schemaErrors, catalog);
+    printErrors('Semantic violations', semanticErrors, catalog);
+    console.log();
+
+    if (schemaErrors.length > 0) exitCode |= EXIT_SCHEMA;
+    if (semanticErrors.length > 0) exitCode |= EXIT_SEMANTIC;
+  }
+
+  process.exit(exitCode);
+}
+
+try {
+  main();
+} catch (error) {
+  console.error(`\n❌ Error: ${error.message}`);
+  if (process.env.DEBUG) console.error(error.stack);
+  process.exit(EXIT_UNREADABLE);
+}
@@ -0,0 +1,72 @@
+#!/usr/bin/env node
+
+/**
+ * Local Webhook Receiver
+ *
+ * Stand-in endpoint for testing webhooks.json rules: prints every delivery,
+ * checks its signature, and can fail the first requests to exercise retries
+ * and the dead-letter file.
+ *
+ * Usage:
+ *   node scripts/webhook-receiver.js                        # http://localhost:8787/
+ *   node scripts/webhook-receiver.js --port 9000 --fail 2   # 500 on the first 2 requests
+ *
+ * Environment:
+ *   FLEET_WEBHOOK_SECRET - Secret to verify X-Fleet-Signature (optional)
+ */
+
+import crypto from 'crypto';
+import http from 'http';
+import { signPayload } from '../lib/webhooks.js';
+
+function verify(body, headers, secret) {
+  if (!secret) return 'not checked (no secret)';
+  const signature = headers['x-fleet-signature'];
+  if (!signature) return '❌ missing';
+  const expected = signPayload(body, secret, headers['x-fleet-timestamp']);
+  const valid = signature.length === expected.length
+    && crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected));
+  return valid ? '✅ valid' : '❌ invalid';
+}
+
+function main() {
+  const args = process.argv.slice(2);
+  const portArg = args.find((_, i) => args[i - 1] === '--port');
+  const failArg = args.find((_, i) => args[i - 1] === '--fail');
+  const port = parseInt(portArg || '8787', 10);
+  let failuresLeft = parseInt(failArg || '0', 10);
+  const secret = process.env.FLEET_WEBHOOK_SECRET || null;
+
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      const body = Buffer.concat(chunks).toString('utf-8');
+      const time = new Date().toISOString();
+
+      if (failuresLeft > 0) {
+        failuresLeft--;
+        console.log(`[${time}] ${req.method} ${req.url} → 500 (simulated failure, ${failuresLeft} left)`);
+        res.writeHead(500).end();
+        return;
+      }
+
+      console.log(`[${time}] ${req.method} ${req.url} delivery ${req.headers['x-fleet-delivery']}`);
+      console.log(`   Signature: ${verify(body, req.headers, secret)}`);
+      try {
+        const payload = JSON.parse(body);
+        console.log(`   Webhook: ${payload.webhook}, ${payload.events?.length ?? 0} events`);
+        payload.events?.forEach(e => console.log(`   - ${e.date} ${e.airline} ${e.title}`));
+      } catch {
+        console.log(`   Body: ${body}`);
+      }
+      res.writeHead(204).end();
+    });
+  });
+
+  server.listen(port, () => {
+    console.log(`\n📥 Webhook receiver listening on http://localhost:${port}/\n`);
+  });
+}
+
+main();
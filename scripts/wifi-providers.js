@@ -0,0 +1,157 @@
+#!/usr/bin/env node
+
+/**
+ * WiFi Providers
+ *
+ * Re-applies the inference rules of reference/wifi-providers.json to every
+ * catalog aircraft whose provider was not set by hand, and rewrites provider
+ * display names ("Starlink") to reference ids ("starlink"), history
+ * included. Run it after editing the rules; the updater only infers for
+ * aircraft it sees. Rule edits are not fleet changes, so no history entries
+ * are written for them.
+ *
+ * A provider set by hand is recorded with a "manual" history entry and kept
+ * by automated updates until it is cleared.
+ *
+ * Usage:
+ *   node scripts/wifi-providers.js                        # Re-infer all catalogs
+ *   node scripts/wifi-providers.js --dry-run              # Report only
+ *   node scripts/wifi-providers.js --set F-HTYA viasat    # Set by hand ("none" for no provider)
+ *   node scripts/wifi-providers.js --clear F-HTYA         # Back to the inference rules
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { findAircraft, loadAllCatalogs } from '../lib/query.js';
+import {
+  WIFI_PROVIDERS,
+  inferWifiProvider,
+  normalizeWifiProvider,
+  wifiProviderFacts,
+} from '../lib/wifi-providers.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const AIRLINES_DIR = path.join(__dirname, '..', 'airlines');
+
+function normalizeHistory(aircraft) {
+  let renamed = 0;
+  for (const entry of aircraft.history || []) {
+    if (entry.property !== 'connectivity.wifi_provider') continue;
+    for (const field of ['old_value', 'new_value']) {
+      const id = normalizeWifiProvider(entry[field]);
+      if (id !== entry[field]) {
+        entry[field] = id;
+        renamed++;
+      }
+    }
+  }
+  return renamed;
+}
+
+function reinferCatalog(code, catalog) {
+  const changed = [];
+  let renamed = 0;
+
+  for (const aircraft of catalog.aircraft) {
+    renamed += normalizeHistory(aircraft);
+    const connectivity = aircraft.connectivity || {};
+    const stored = connectivity.wifi_provider ?? null;
+    const current = normalizeWifiProvider(stored);
+
+    if (connectivity.wifi_provider_source === 'manual') {
+      if (current !== stored) renamed++;
+      connectivity.wifi_provider = current;
+      continue;
+    }
+
+    const inferred = inferWifiProvider(wifiProviderFacts(aircraft, code));
+    if (current !== stored && current === inferred) renamed++;
+    else if (current !== inferred) changed.push({ registration: aircraft.registration, from: stored, to: inferred });
+
+    aircraft.connectivity = {
+      ...connectivity,
+      wifi_provider: inferred,
+      wifi_provider_source: inferred ? 'inferred' : null,
+    };
+  }
+
+  return { changed, renamed };
+}
+
+function setProvider(catalogs, registration, value) {
+  const found = findAircraft(catalogs, registration);
+  if (!found) {
+    console.error(`❌ Aircraft not found: ${registration}`);
+    process.exit(1);
+  }
+
+  const { airline, aircraft } = found;
+  const connectivity = aircraft.connectivity || {};
+  const from = connectivity.wifi_provider ?? null;
+  let to;
+  if (value === undefined) {
+    to = inferWifiProvider(wifiProviderFacts(aircraft, airline));
+    aircraft.connectivity = { ...connectivity, wifi_provider: to, wifi_provider_source: to ? 'inferred' : null };
+    console.log(`↩️  ${aircraft.registration} (${airline}): back to inference → ${to || 'none'}`);
+  } else {
+    to = value === 'none' ? null : value;
+    aircraft.connectivity = { ...connectivity, wifi_provider: to, wifi_provider_source: 'manual' };
+    console.log(`✏️  ${aircraft.registration} (${airline}): ${from || 'none'} → ${to || 'none'} (manual)`);
+  }
+
+  if (to !== from) {
+    const entry = {
+      timestamp: new Date().toISOString().split('T')[0],
+      property: 'connectivity.wifi_provider',
+      old_value: from,
+      new_value: to,
+      source: 'manual',
+    };
+    aircraft.history = [...(aircraft.history || []), entry];
+    aircraft.metadata.updated_at = new Date().toISOString();
+  }
+  return airline;
+}
+
+function main() {
+  const args = process.argv.slice(2);
+  const dryRun = args.includes('--dry-run');
+  const setReg = args.find((_, i) => args[i - 1] === '--set');
+  const setValue = args.find((_, i) => args[i - 2] === '--set');
+  const clearReg = args.find((_, i) => args[i - 1] === '--clear');
+
+  console.log('\n📶 WiFi providers\n');
+  if (dryRun) {
+    console.log('   🔍 DRY RUN - no changes will be saved\n');
+  }
+
+  const catalogs = loadAllCatalogs();
+  let touched;
+
+  if (setReg || clearReg) {
+    if (setReg && (!setValue || (setValue !== 'none' && !WIFI_PROVIDERS[setValue]))) {
+      console.error(`❌ --set needs a registration and a provider id: ${Object.keys(WIFI_PROVIDERS).join(', ')} or none`);
+      process.exit(1);
+    }
+    touched = [setReg ? setProvider(catalogs, setReg, setValue) : setProvider(catalogs, clearReg)];
+  } else {
+    touched = [];
+    for (const [code, catalog] of Object.entries(catalogs)) {
+      const { changed, renamed } = reinferCatalog(code, catalog);
+      console.log(`📂 ${code}: ${changed.length} providers changed, ${renamed} names rewritten to ids`);
+      changed.forEach(c => console.log(`   - ${c.registration}: ${c.from || 'none'} → ${c.to || 'none'}`));
+      if (changed.length > 0 || renamed > 0) touched.push(code);
+    }
+  }
+
+  if (!dryRun) {
+    for (const code of touched) {
+      fs.writeFileSync(path.join(AIRLINES_DIR, `${code}.json`), JSON.stringify(catalogs[code], null, 2));
+    }
+  }
+
+  console.log(dryRun ? '\n🔍 Dry run complete - no changes saved\n' : '\n✅ Done!\n');
+}
+
+main();